@@ -11,12 +11,19 @@ Comandos:
   encrypt <texto>      Criptografa um texto para uso em arquivos de configuração
   decrypt <texto>      Descriptografa um texto criptografado
   generate-config      Gera configuração a partir de arquivo Swagger/OpenAPI
+  encrypt-config       Criptografa campos sensíveis de um arquivo (-f arquivo.json, --check para apenas verificar)
+  session <ação>       Gerencia sessões persistidas em ~/.gicli (list, show <chave>, clear [chave])
+  key <ação>           Gerencia a chave de criptografia (init, verify, rotate)
   list                 Lista os jobs cadastrados de acordo a origem e o tipo (names ou ids)
 
 Argumentos disponíveis:
   -p, --production     Executa o job em modo produção
   -t, --test           Executa o job em modo teste
-  -j, --job            Nome do job a ser executado
+  -j, --job            Nome do job a ser executado (ou grupo/origem/job_id)
+  --origin <nome>      Executa todos os jobs da origem (com -p ou -t)
+  --group <nome>       Executa todos os jobs do grupo de configuração
+  --tag <tag>          Executa os jobs com a tag (seletores diferentes restringem a seleção)
+  --all                Executa todos os jobs carregados
   -i, --import         Importa e valida configurações
   -v, --validate       Valida configurações sem executar jobs
   -d, --dir            Diretório de configurações (padrão: docs/)
@@ -25,11 +32,15 @@ Argumentos disponíveis:
   --payload-file       Arquivo JSON com payload dinâmico para a requisição
   --params-file        Arquivo JSON com parâmetros dinâmicos para a requisição
   --output-response-params  Salva metadados da resposta da API em output-response-params.js
+  --concurrency <n>    Executa até n jobs independentes em paralelo (padrão: 1)
   --version            Exibe a versão do gicli
   -h, --help           Exibe esta mensagem de ajuda
 
 Variáveis de Substituição:
   $DATE                Substituído pela data corrente no formato YYYY-MM-DD
+  $NOW                 Substituído pela data e hora corrente (ISO 8601 com fuso)
+  $YESTERDAY           Data de ontem; também $MONTH_START, $MONTH_END, $PREV_MONTH_START e $PREV_MONTH_END
+  $DATE-7d(DD/MM/YYYY) Deslocamentos (y, M, w, d, h, m, s) e formato opcional; fuso em "timezone" ou ENV_TIMEZONE
   $ENV_VARIÁVEL        Substituído pelo valor da variável de ambiente
   $SESSION_NOME        Substituído pelo valor da sessão armazenada
 
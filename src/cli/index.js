@@ -7,6 +7,11 @@ import environmentService from '../services/environment/index.js';
 import executionService from '../services/execution/index.js';
 import sessionService from '../services/session/index.js';
 import { DependencyResolver } from '../services/dependency-resolver/index.js';
+import foreachService from '../services/foreach/index.js';
+import schedulerService from '../services/scheduler/index.js';
+import conditionService from '../services/condition/index.js';
+import dateService from '../services/date/index.js';
+import failurePolicyService from '../services/failure-policy/index.js';
 import VersionService from '../services/version/VersionService.js';
 import loggerService from '../services/logger/index.js';
 import { getHelpText } from './help-template.js';
@@ -14,6 +19,9 @@ import packageInfo from '../../package.json' with { type: 'json' };
 import paramsListJobs from './params-ListJobs.js';
 import handleCryptCommand from './params-Crypt.js';
 import handleGenerateConfigCommand from "./params-CreateConfig.js";
+import handleSessionCommand from './params-Session.js';
+import handleKeyCommand from './params-Key.js';
+import handleEncryptConfigCommand from './params-EncryptConfig.js';
 import { processJobOutput, processFailureOutput } from "./params-ProcessJobsOutput.js";
 
 
@@ -27,6 +35,88 @@ async function showHelp() {
   console.log(getHelpText(packageInfo));
 }
 
+/**
+ * Armazena o resultado de um job na sessão e em jobResults (para templates de jobs dependentes)
+ * @param {string} key - ID do job (ou jobId_itemId para itens de lote iterativo)
+ * @param {object} result - Resultado de executionService.executeJob
+ * @param {object} jobResults - Resultados dos jobs executados
+ * @param {object} extraFields - Campos adicionais do resultado (ex: { itemId })
+ */
+function storeJobResult(key, result, jobResults, extraFields = {}) {
+  const stored = result.type === 'auth'
+    ? { authenticated: result.authenticated, timestamp: new Date().toISOString(), ...extraFields }
+    : {
+        data: result.response.data,
+        headers: result.response.headers,
+        status: result.response.status,
+        timestamp: result.response.timestamp,
+        ...extraFields
+      };
+
+  sessionService.set(`job_result_${key}`, stored, 3600000); // 1 hora de TTL
+  jobResults[key] = stored;
+}
+
+/**
+ * Cria o erro de um job que falhou, mantendo o status HTTP da falha para os hooks on_failure
+ * @param {string} message - Mensagem do erro
+ * @param {number|null} status - Status HTTP (opcional)
+ * @returns {Error} Erro com a propriedade status
+ */
+function createJobError(message, status = null) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Verifica se algum seletor de jobs (--origin, --group, --tag, --all) foi informado
+ * @param {object} selectors - Seletores da linha de comando
+ * @returns {boolean} True se há seletores
+ */
+function hasSelectors(selectors) {
+  return selectors.all || selectors.origins.length > 0 || selectors.groups.length > 0 || selectors.tags.length > 0;
+}
+
+/**
+ * Descreve os seletores para mensagens (ex: --group RHiD --tag cadastros)
+ * @param {object} selectors - Seletores da linha de comando
+ * @returns {string} Descrição
+ */
+function describeSelectors(selectors) {
+  return [
+    selectors.all ? '--all' : null,
+    ...selectors.origins.map(origin => `--origin ${origin}`),
+    ...selectors.groups.map(group => `--group ${group}`),
+    ...selectors.tags.map(tag => `--tag ${tag}`)
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Seleciona os jobs pelos seletores: valores repetidos do mesmo seletor somam jobs
+ * e seletores diferentes restringem a seleção (ex: --group RHiD --tag cadastros)
+ * Jobs usados apenas como fallback ou hook (on_failure/on_success) não são selecionados
+ * @param {object[]} jobNodes - Nós do grafo de jobs
+ * @param {object} selectors - Seletores da linha de comando
+ * @param {DependencyResolver} dependencyResolver - Resolvedor (qualifica as referências)
+ * @returns {object[]} Nós selecionados
+ */
+function selectJobs(jobNodes, selectors, dependencyResolver) {
+  const handlerJobs = new Set();
+  for (const node of jobNodes) {
+    for (const field of ['fallback', 'on_failure', 'on_success']) {
+      [].concat(node.job[field] || []).forEach(reference => handlerJobs.add(dependencyResolver.qualifyReference(reference, node.group, node.origin.name)));
+    }
+  }
+
+  return jobNodes.filter(node =>
+    !handlerJobs.has(node.id)
+    && (selectors.origins.length === 0 || selectors.origins.includes(node.origin.name))
+    && (selectors.groups.length === 0 || selectors.groups.includes(node.group))
+    && (selectors.tags.length === 0 || (node.job.tags || []).some(tag => selectors.tags.includes(tag)))
+  );
+}
+
 // Parse arguments
 (async () => {
 let mode = null;
@@ -41,6 +131,8 @@ let paramsFile = null;
 let outputResponseParams = false;
 let listType = null;
 let listOrigin = null;
+let concurrency = 1;
+const selectors = { origins: [], groups: [], tags: [], all: false };
 
 // Tratar comandos diretos (não começam com -)
 if (args.length > 0 && !args[0].startsWith('-')) {
@@ -52,6 +144,15 @@ if (args.length > 0 && !args[0].startsWith('-')) {
   } else if (command === 'generate-config') {
     await handleGenerateConfigCommand(args.slice(1));
     process.exit(0);
+  } else if (command === 'session') {
+    await handleSessionCommand(args.slice(1));
+    process.exit(0);
+  } else if (command === 'encrypt-config') {
+    await handleEncryptConfigCommand(args.slice(1));
+    process.exit(0);
+  } else if (command === 'key') {
+    await handleKeyCommand(args.slice(1));
+    process.exit(0);
   } else {
     console.error(`Comando desconhecido: ${command}`);
     await showHelp();
@@ -117,6 +218,25 @@ for (let i = 0; i < args.length; i++) {
     case '--output-response-params':
       outputResponseParams = true;
       break;
+    case '--origin':
+      selectors.origins.push(args[++i]);
+      break;
+    case '--group':
+      selectors.groups.push(args[++i]);
+      break;
+    case '--tag':
+      selectors.tags.push(args[++i]);
+      break;
+    case '--all':
+      selectors.all = true;
+      break;
+    case '--concurrency':
+      concurrency = Number(args[++i]);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error('Erro: --concurrency deve ser um número inteiro maior que zero');
+        process.exit(1);
+      }
+      break;
   }
 }
 
@@ -159,7 +279,7 @@ if (importConfigs) {
   }
 } else if (listType && listOrigin) {
   await paramsListJobs(listType, listOrigin);
-} else if (mode && jobName) {
+} else if (mode && (jobName || hasSelectors(selectors))) {
   // Execute job com sistema de dependências
   try {
     // Carrega configurações
@@ -173,45 +293,142 @@ if (importConfigs) {
       }
     }
 
-    // Encontra o job na configuração
-    const targetJob = importService.getJobById(jobName);
+    // Cria resolvedor de dependências
+    const dependencyResolver = new DependencyResolver();
 
-    if (!targetJob) {
-      throw new Error(`Job '${jobName}' não encontrado nas configurações`);
-    }
+    // Jobs de todas as configurações (dependências podem apontar para grupo/origem/job_id)
+    const jobGraph = dependencyResolver.buildJobGraph(importService.configs);
+    const allJobs = [...jobGraph.values()];
 
-    // Encontra a origem do job
-    const originConfig = importService.getOriginForJob(jobName);
+    const targetNodes = [];
 
-    if (!originConfig) {
-      throw new Error(`Origem para job '${jobName}' não encontrada`);
+    // Encontra o job na configuração (pelo id ou pela referência grupo/origem/job_id)
+    if (jobName) {
+      const targetNode = jobGraph.get(jobName) || allJobs.find(node => node.job.id === jobName);
+
+      if (!targetNode) {
+        throw new Error(`Job '${jobName}' não encontrado nas configurações`);
+      }
+      targetNodes.push(targetNode);
     }
 
-    // Carrega variáveis de ambiente da origem
-    environmentService.load(originConfig.name);
+    // Jobs selecionados por origem, grupo, tag ou --all
+    if (hasSelectors(selectors)) {
+      const selectedNodes = selectJobs(allJobs, selectors, dependencyResolver);
 
-    // Cria resolvedor de dependências
-    const dependencyResolver = new DependencyResolver();
+      if (selectedNodes.length === 0) {
+        throw new Error(`Nenhum job corresponde aos seletores ${describeSelectors(selectors)}`);
+      }
+      targetNodes.push(...selectedNodes.filter(node => !targetNodes.includes(node)));
+    }
+
+    const targetLabel = [jobName, hasSelectors(selectors) ? describeSelectors(selectors) : null].filter(Boolean).join(' ');
 
-    // Obtém todos os jobs da origem
-    const allJobs = originConfig.job || [];
+    // Resolve ordem de execução baseada em dependências (jobs do mesmo nível são independentes)
+    // Dependências comuns aos jobs alvo (ex: login) são executadas uma única vez
+    const executionLevels = dependencyResolver.resolveExecutionLevels(allJobs, targetNodes.map(node => node.id));
+    const jobDependencies = new Map(executionLevels.flat().map(jobKey => [jobKey, jobGraph.get(jobKey).dependencies]));
 
-    // Resolve ordem de execução baseada em dependências
-    const executionOrder = dependencyResolver.resolveExecutionOrder(allJobs, jobName);
+    // Com alvos de uma única origem os jobs dela aparecem pelo id; os demais, pela referência completa
+    const labelOrigin = targetNodes.every(node => node.origin === targetNodes[0].origin) ? targetNodes[0].origin : null;
+    const getJobLabel = jobKey => (jobGraph.get(jobKey).origin === labelOrigin ? jobGraph.get(jobKey).job.id : jobKey);
 
     if (!silent) {
-      console.log(`Ordem de execução resolvida: ${executionOrder.join(' → ')}`);
+      const levelsText = executionLevels
+        .map(level => (level.length > 1 ? `[${level.map(getJobLabel).join(', ')}]` : getJobLabel(level[0])))
+        .join(' → ');
+      console.log(`Ordem de execução resolvida: ${levelsText}${concurrency > 1 ? ` (até ${concurrency} jobs em paralelo)` : ''}`);
     }
 
-    // Cache para armazenar resultados dos jobs
-    const jobResults = {};
+    // Cache para armazenar resultados dos jobs, separado por origem
+    const resultsByOrigin = new Map();
+    const getOriginResults = (origin) => {
+      if (!resultsByOrigin.has(origin)) {
+        resultsByOrigin.set(origin, {});
+      }
+      return resultsByOrigin.get(origin);
+    };
+
+    // Executa um job (chamado pelo agendador quando todas as suas dependências foram concluídas)
+    // extraResults adiciona valores aos templates (ex: {{error.message}} em hooks on_failure)
+    const runJob = async (jobKey, extraResults = {}) => {
+      const node = jobGraph.get(jobKey);
+      const jobId = node.job.id;
+      // A condição when é avaliada antes da execução e não faz parte da requisição
+      const { when, ...jobConfig } = node.job;
+
+      // Cada job é executado no contexto da sua própria origem (variáveis e fuso horário)
+      const originConfig = node.origin;
+      environmentService.load(originConfig.name, mode);
+      const timezone = dateService.resolveTimezone(jobConfig, originConfig);
+
+      // Resultados dos jobs da mesma origem e, pelo id do job, das dependências de outras origens
+      const jobResults = getOriginResults(originConfig);
+      const templateResults = { ...jobResults, ...extraResults };
+      for (const depKey of node.dependencies) {
+        const dependency = jobGraph.get(depKey);
+        if (dependency.origin !== originConfig) {
+          templateResults[dependency.job.id] = getOriginResults(dependency.origin)[dependency.job.id];
+        }
+      }
+
+      // Condição when: o job é ignorado quando falsa; on_skip define o que acontece com os dependentes
+      if (when !== undefined) {
+        if (!conditionService.evaluate(when, templateResults, originConfig.name, timezone)) {
+          const onSkip = jobConfig.on_skip || 'skip';
+          const reason = `condição when não atendida (${when})`;
+
+          if (onSkip === 'fail') {
+            throw new Error(`Job ${jobId}: ${reason}`);
+          }
+
+          loggerService.info(`Job ${jobId} ignorado: ${reason}`);
+          if (!silent) {
+            console.log(`↷ Job '${jobId}' ignorado: ${reason}`);
+          }
+          return { skipped: true, reason, skipDependents: onSkip !== 'run' };
+        }
+      }
+
+      // Fan-out: executa o job uma vez para cada elemento do array referenciado em foreach
+      if (jobConfig.foreach) {
+        loggerService.jobStart(jobId, { origin: originConfig.name, mode });
+        let success = false;
+
+        try {
+          const response = await foreachService.run(jobConfig, originConfig.name, templateResults, async (itemJobConfig, item, index) => {
+            if (!silent) {
+              console.log(`Processando elemento ${index + 1} do foreach de ${jobId}`);
+            }
+            const itemResult = await executionService.executeJob(originConfig, itemJobConfig, mode, silent, allOrigins);
+            if (!itemResult.success) {
+              throw createJobError(itemResult.error, itemResult.status);
+            }
+            if (itemResult.response.status >= 400) {
+              throw createJobError(`HTTP ${itemResult.response.status}`, itemResult.response.status);
+            }
+            return itemResult.response;
+          }, timezone);
+
+          const result = { success: true, type: 'request', jobId, response };
+          storeJobResult(jobId, result, jobResults);
+
+          // A saída é gerada uma única vez com os registros de todos os elementos
+          const outputJobConfig = { ...jobConfig, output: environmentService.substituteDeep(jobConfig.output, originConfig.name) };
+          await processJobOutput(outputJobConfig, result, originConfig, mode, silent);
+          success = true;
 
-    // Executa jobs em ordem de dependências
-    for (const jobId of executionOrder) {
-      const jobConfig = allJobs.find(job => job.id === jobId);
+          if (!silent) {
+            console.log(`✓ Job '${jobId}' executado para ${response.foreach.succeeded}/${response.foreach.items} elementos`);
+          }
+        } finally {
+          loggerService.jobEnd(jobId, success);
+        }
+        return;
+      }
 
       // Aplica template variables e substituições de ambiente
-      let processedJobConfig = environmentService.substituteDeep(jobConfig, originConfig.name, jobResults);
+      let processedJobConfig = environmentService.substituteDeep(jobConfig, originConfig.name, templateResults, timezone);
 
       // Se payload file foi especificado, ler e injetar no payload
       if (payloadFile) {
@@ -260,27 +477,7 @@ if (importConfigs) {
           const result = await executionService.executeJob(originConfig, processedJobConfig, mode, silent, allOrigins);
 
           if (result.success) {
-            const sessionKey = `job_result_${jobId}`;
-            if (result.type === 'auth') {
-              sessionService.set(sessionKey, {
-                authenticated: result.authenticated,
-                timestamp: new Date().toISOString()
-              }, 3600000);
-              jobResults[jobId] = { authenticated: result.authenticated, timestamp: new Date().toISOString() };
-            } else {
-              sessionService.set(sessionKey, {
-                data: result.response.data,
-                headers: result.response.headers,
-                status: result.response.status,
-                timestamp: result.response.timestamp
-              }, 3600000);
-              jobResults[jobId] = {
-                data: result.response.data,
-                headers: result.response.headers,
-                status: result.response.status,
-                timestamp: result.response.timestamp
-              };
-            }
+            storeJobResult(jobId, result, jobResults);
 
             if (result.type !== 'auth') {
               if (result.response && result.response.status === 400 && processedJobConfig.output && processedJobConfig.output.save_failures && processedJobConfig.output.type === 'database') {
@@ -294,7 +491,7 @@ if (importConfigs) {
               console.log(`✓ Job '${jobId}' processado com sucesso (array agrupado)`);
             }
           } else {
-            throw new Error(`Falha no job ${jobId}: ${result.error}`);
+            throw createJobError(`Falha no job ${jobId}: ${result.error}`, result.status);
           }
 
         } else {
@@ -314,43 +511,18 @@ if (importConfigs) {
               console.log(`Processando item ${i + 1}/${processedJobConfig.payload.length}: ${itemId}`);
             }
 
-            const itemJobConfig = {
+            // O item mantém a configuração original correspondente (textos da configuração e modo estrito)
+            const source = environmentService.getSource(processedJobConfig);
+            const itemJobConfig = environmentService.markSubstituted({
               ...processedJobConfig,
               payload: item
-            };
+            }, { ...source, payload: Array.isArray(source.payload) ? source.payload[i] : undefined });
 
             try {
               const result = await executionService.executeJob(originConfig, itemJobConfig, mode, silent, allOrigins);
 
               if (result.success) {
-                const sessionKey = `job_result_${jobId}_${itemId}`;
-                if (result.type === 'auth') {
-                  sessionService.set(sessionKey, {
-                    authenticated: result.authenticated,
-                    timestamp: new Date().toISOString(),
-                    itemId: itemId
-                  }, 3600000);
-                  jobResults[`${jobId}_${itemId}`] = {
-                    authenticated: result.authenticated,
-                    timestamp: new Date().toISOString(),
-                    itemId: itemId
-                  };
-                } else {
-                  sessionService.set(sessionKey, {
-                    data: result.response.data,
-                    headers: result.response.headers,
-                    status: result.response.status,
-                    timestamp: result.response.timestamp,
-                    itemId: itemId
-                  }, 3600000);
-                  jobResults[`${jobId}_${itemId}`] = {
-                    data: result.response.data,
-                    headers: result.response.headers,
-                    status: result.response.status,
-                    timestamp: result.response.timestamp,
-                    itemId: itemId
-                  };
-                }
+                storeJobResult(`${jobId}_${itemId}`, result, jobResults, { itemId });
 
                 if (result.type !== 'auth') {
                   if (result.response && result.response.status === 400 && itemJobConfig.output && itemJobConfig.output.save_failures && itemJobConfig.output.type === 'database') {
@@ -411,38 +583,8 @@ if (importConfigs) {
           result = await executionService.executeJob(originConfig, processedJobConfig, mode, silent, allOrigins);
 
           if (result.success) {
-            // Armazena resultado na sessão para uso por jobs dependentes
-            const sessionKey = `job_result_${jobId}`;
-            if (result.type === 'auth') {
-              // Para jobs de auth, armazena apenas o status de autenticação
-              sessionService.set(sessionKey, {
-                authenticated: result.authenticated,
-                timestamp: new Date().toISOString()
-              }, 3600000); // 1 hora de TTL
-            } else {
-              // Para jobs de request, armazena os dados da resposta
-              sessionService.set(sessionKey, {
-                data: result.response.data,
-                headers: result.response.headers,
-                status: result.response.status,
-                timestamp: result.response.timestamp
-              }, 3600000); // 1 hora de TTL
-            }
-
-            // Também armazena em jobResults para template resolution
-            if (result.type === 'auth') {
-              jobResults[jobId] = {
-                authenticated: result.authenticated,
-                timestamp: new Date().toISOString()
-              };
-            } else {
-              jobResults[jobId] = {
-                data: result.response.data,
-                headers: result.response.headers,
-                status: result.response.status,
-                timestamp: result.response.timestamp
-              };
-            }
+            // Armazena resultado na sessão e em jobResults para uso por jobs dependentes
+            storeJobResult(jobId, result, jobResults);
 
             if (!silent) {
               console.log(`Job '${jobId}' executado com sucesso`);
@@ -517,7 +659,7 @@ if (importConfigs) {
             }
 
           } else {
-            throw new Error(`Falha no job ${jobId}: ${result.error}`);
+            throw createJobError(`Falha no job ${jobId}: ${result.error}`, result.status);
           }
         } catch (error) {
           // Salvar falha no banco de dados se save_failures estiver habilitado (para processamento normal)
@@ -535,10 +677,75 @@ if (importConfigs) {
           loggerService.jobEnd(jobId, result?.success || false);
         }
       }
+    };
+
+    // Execução usada pelas políticas de falha (retry da cadeia, fallback e hooks)
+    const finishedJobs = new Set();
+    const executeAndTrack = async (jobKey, extraResults = {}) => {
+      const outcome = await runJob(jobKey, extraResults);
+      finishedJobs.add(jobKey);
+      return outcome;
+    };
+
+    const jobExecutor = {
+      runJob: jobKey => executeAndTrack(jobKey),
+      runChain: async (jobKey, { rerun = false, extraResults = {} } = {}) => {
+        const chain = dependencyResolver.resolveExecutionOrder(allJobs, jobKey);
+        for (const depKey of chain.slice(0, -1)) {
+          if (rerun || !finishedJobs.has(depKey)) {
+            await executeAndTrack(depKey);
+          }
+        }
+        return executeAndTrack(jobKey, extraResults);
+      },
+      resolve: (reference, node) => {
+        const jobKey = dependencyResolver.qualifyReference(reference, node.group, node.origin.name);
+        if (!jobGraph.has(jobKey)) {
+          throw new Error(`Job "${node.job.id}" referencia "${reference}" que não existe`);
+        }
+        return jobKey;
+      },
+      adoptResult: (fromKey, toKey) => {
+        const from = jobGraph.get(fromKey);
+        const to = jobGraph.get(toKey);
+        getOriginResults(to.origin)[to.job.id] = getOriginResults(from.origin)[from.job.id];
+      }
+    };
+
+    // Valida on_error, fallback e hooks antes de iniciar a execução
+    for (const jobKey of executionLevels.flat()) {
+      const node = jobGraph.get(jobKey);
+      failurePolicyService.getPolicy(node.job);
+      ['fallback', 'on_failure', 'on_success'].forEach(field => {
+        failurePolicyService.getReferences(node.job, field).forEach(reference => jobExecutor.resolve(reference, node));
+      });
     }
 
+    // Executa os jobs em ordem de dependências, em paralelo até o limite de --concurrency
+    const summary = await schedulerService.run(
+      executionLevels,
+      jobDependencies,
+      jobKey => failurePolicyService.execute(jobGraph.get(jobKey), jobExecutor),
+      { concurrency }
+    );
+
+    const failures = summary.failed.filter(failure => !failure.continued);
+    const toleratedFailures = summary.failed.filter(failure => failure.continued);
+
+    if (failures.length > 0) {
+      summary.failed.forEach(({ jobId, error }) => console.error(`✗ Job '${getJobLabel(jobId)}' falhou: ${error.message}`));
+      summary.skipped.forEach(({ jobId, reason }) => console.error(`- Job '${getJobLabel(jobId)}' não executado: ${reason}`));
+      throw new Error(`${failures.length} job(s) com falha, ${summary.skipped.length} não executado(s). Alvo: ${targetLabel}`);
+    }
+
+    // Falhas toleradas (on_error: continue) são sempre exibidas, mesmo em modo silencioso
+    toleratedFailures.forEach(({ jobId, error }) => console.warn(`Aviso: Job '${getJobLabel(jobId)}' falhou (on_error: continue): ${error.message}`));
+
     if (!silent) {
-      console.log(`Todos os jobs executados com sucesso. Job alvo: ${jobName}`);
+      summary.skipped.forEach(({ jobId, reason }) => console.log(`- Job '${getJobLabel(jobId)}' não executado: ${reason}`));
+      console.log(summary.skipped.length > 0 || toleratedFailures.length > 0
+        ? `Execução concluída com ${toleratedFailures.length} falha(s) tolerada(s) e ${summary.skipped.length} job(s) não executado(s). Alvo: ${targetLabel}`
+        : `Todos os jobs executados com sucesso. Alvo: ${targetLabel}`);
     }
     process.exit(0);
 
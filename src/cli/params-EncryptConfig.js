@@ -0,0 +1,192 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import environmentService from '../services/environment/index.js';
+import importService from '../services/import/index.js';
+
+// Campos cujo valor é sempre sensível
+const SENSITIVE_KEY_REGEX = /(password|passwd|senha|secret|api_?key|^pwd|^token|^access_token|^refresh_token|^authorization)$/i;
+
+// Connection strings são sensíveis apenas quando trazem senha em texto
+const CONNECTION_PASSWORD_REGEX = /(password|pwd)\s*=\s*(?!\$(ENV|SESSION)_|\{\{)[^;]+/i;
+
+/**
+ * Verifica se o valor já está protegido (criptografado, referência ou template)
+ * Apenas o valor inteiro conta: "usuario=$ENV_USER;senha=123" continua exposto
+ * @param {string} value - Valor do campo
+ * @returns {boolean} True se não contém segredo em texto
+ */
+function isProtected(value) {
+    return value === ''
+        || value.startsWith('ENC:')
+        || value.startsWith('secret:')
+        || /^\$(ENV|SESSION)_\w+$/.test(value)
+        || /^\{\{.*\}\}$/.test(value);
+}
+
+/**
+ * Codifica um segmento de JSON pointer (RFC 6901)
+ * @param {string|number} segment - Chave ou índice
+ * @returns {string} Segmento codificado
+ */
+function encodePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve um JSON pointer (RFC 6901)
+ * @param {object} root - Documento
+ * @param {string} pointer - Pointer (ex: /origins/0/job/0/payload/Password)
+ * @returns {{parent: object, key: string}|null} Objeto pai e chave ou null se não existir
+ */
+function resolvePointer(root, pointer) {
+    const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    let parent = null;
+    let current = root;
+
+    for (const segment of segments) {
+        if (current === null || typeof current !== 'object' || !(segment in current)) {
+            return null;
+        }
+        parent = current;
+        current = current[segment];
+    }
+
+    return parent ? { parent, key: segments[segments.length - 1] } : null;
+}
+
+/**
+ * Localiza campos sensíveis em texto
+ * @param {any} node - Nó atual do documento
+ * @param {string} pointer - JSON pointer do nó
+ * @param {object[]} fields - Acumulador ({ pointer, parent, key })
+ * @returns {object[]} Campos encontrados
+ */
+function findSensitiveFields(node, pointer = '', fields = []) {
+    if (node === null || typeof node !== 'object') {
+        return fields;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        const childPointer = `${pointer}/${encodePointerSegment(key)}`;
+
+        if (typeof value === 'string') {
+            // Connection strings são avaliadas pela senha que contêm, não por referências em outros trechos
+            const sensitive = key === 'connection_string'
+                ? !value.startsWith('ENC:') && !value.startsWith('secret:') && CONNECTION_PASSWORD_REGEX.test(value)
+                : SENSITIVE_KEY_REGEX.test(key) && !isProtected(value);
+
+            if (sensitive) {
+                fields.push({ pointer: childPointer, parent: node, key });
+            }
+        } else {
+            findSensitiveFields(value, childPointer, fields);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Extrai as opções do comando
+ * @param {string[]} args - Argumentos do comando
+ * @returns {{file: string|null, check: boolean, pointers: string[]}} Opções
+ */
+function parseOptions(args) {
+    const options = { file: null, check: false, pointers: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '-f':
+            case '--file':
+                options.file = args[++i];
+                break;
+            case '--check':
+                options.check = true;
+                break;
+            case '--pointer':
+                options.pointers.push(args[++i]);
+                break;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Lida com comando encrypt-config (criptografa campos sensíveis de um arquivo de configuração)
+ * @param {string[]} args - Argumentos do comando
+ */
+async function handleEncryptConfigCommand(args) {
+    try {
+        const options = parseOptions(args);
+
+        if (!options.file || args.includes('--help') || args.includes('-h')) {
+            console.log('Uso: gicli encrypt-config -f arquivo.json [--check] [--pointer /caminho/do/campo]...');
+            console.log('');
+            console.log('Criptografa connection strings com senha e campos password, secret, token, api_key');
+            console.log('e Authorization, além dos JSON pointers informados com --pointer.');
+            console.log('  --check               Apenas verifica; falha se houver segredos em texto');
+            process.exit(options.file ? 0 : 1);
+        }
+
+        if (!existsSync(options.file)) {
+            console.error(`Erro: Arquivo não encontrado: ${options.file}`);
+            process.exit(1);
+        }
+
+        // Carrega variáveis de ambiente para garantir ENV_ENCRYPTION_KEY
+        importService.loadEnvironmentVariables();
+
+        const content = readFileSync(options.file, 'utf8');
+        const config = JSON.parse(content);
+        const fields = findSensitiveFields(config);
+
+        for (const pointer of options.pointers) {
+            const target = resolvePointer(config, pointer);
+            if (!target) {
+                console.error(`Erro: Campo não encontrado: ${pointer}`);
+                process.exit(1);
+            }
+            const value = target.parent[target.key];
+            if (typeof value !== 'string') {
+                console.error(`Erro: O campo ${pointer} não é texto`);
+                process.exit(1);
+            }
+            if (!isProtected(value) && !fields.some(field => field.pointer === pointer)) {
+                fields.push({ pointer, ...target });
+            }
+        }
+
+        if (options.check) {
+            if (fields.length > 0) {
+                console.error(`${fields.length} segredo(s) em texto em ${options.file}:`);
+                fields.forEach(field => console.error(`  - ${field.pointer}`));
+                process.exit(1);
+            }
+            console.log(`Nenhum segredo em texto encontrado em ${options.file}`);
+            process.exit(0);
+        }
+
+        if (fields.length === 0) {
+            console.log(`Nenhum campo a criptografar em ${options.file}`);
+            process.exit(0);
+        }
+
+        for (const field of fields) {
+            field.parent[field.key] = environmentService.encrypt(field.parent[field.key]);
+        }
+
+        // Mantém a indentação original do arquivo
+        const indent = content.match(/^[ \t]+/m)?.[0] || 2;
+        writeFileSync(options.file, JSON.stringify(config, null, indent) + (content.endsWith('\n') ? '\n' : ''));
+
+        console.log(`${fields.length} campo(s) criptografado(s) em ${options.file}:`);
+        fields.forEach(field => console.log(`  - ${field.pointer}`));
+
+    } catch (error) {
+        console.error('❌ Erro ao criptografar configuração:', error.message);
+        process.exit(1);
+    }
+}
+
+export default handleEncryptConfigCommand;
+export { isProtected, findSensitiveFields };
@@ -0,0 +1,208 @@
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import environmentService from '../services/environment/index.js';
+import importService from '../services/import/index.js';
+import sessionService from '../services/session/index.js';
+
+// ENC:<base64> (legado, ENV_ENCRYPTION_KEY) ou ENC:<id>:<base64>
+const ENCRYPTED_VALUE_REGEX = /ENC:(?:[A-Za-z0-9_-]+:)?[A-Za-z0-9+/]+={0,2}/g;
+
+/**
+ * Lista os arquivos que podem conter valores ENC:
+ * @param {string[]} extraFiles - Arquivos adicionais informados com -f
+ * @returns {string[]} Caminhos existentes
+ */
+function collectEncryptedFiles(extraFiles = []) {
+    const files = [environmentService.getEnvFilePath()];
+
+    const envDir = environmentService.getEnvDir();
+    if (existsSync(envDir)) {
+        readdirSync(envDir)
+            .filter(file => file.endsWith('.env'))
+            .forEach(file => files.push(join(envDir, file)));
+    }
+
+    if (existsSync(importService.validatedPath)) {
+        readdirSync(importService.validatedPath)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => files.push(join(importService.validatedPath, file)));
+    }
+
+    files.push(sessionService.storePath, ...extraFiles);
+
+    return [...new Set(files)].filter(file => existsSync(file));
+}
+
+/**
+ * Localiza os valores ENC: de um arquivo
+ * @param {string} file - Caminho do arquivo
+ * @returns {object[]} Valores encontrados ({ file, line, value, keyId })
+ */
+function findEncryptedValues(file) {
+    const values = [];
+
+    readFileSync(file, 'utf8').split('\n').forEach((content, index) => {
+        for (const match of content.matchAll(ENCRYPTED_VALUE_REGEX)) {
+            values.push({
+                file,
+                line: index + 1,
+                value: match[0],
+                keyId: environmentService.parseEncrypted(match[0]).keyId
+            });
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Tenta descriptografar todos os valores encontrados
+ * @param {string[]} files - Arquivos a verificar
+ * @returns {{values: object[], failures: object[]}} Valores descriptografados e falhas
+ */
+function decryptAll(files) {
+    const values = [];
+    const failures = [];
+
+    for (const file of files) {
+        for (const entry of findEncryptedValues(file)) {
+            try {
+                values.push({ ...entry, plain: environmentService.decrypt(entry.value) });
+            } catch (error) {
+                failures.push({ ...entry, error: error.message });
+            }
+        }
+    }
+
+    return { values, failures };
+}
+
+/**
+ * Exibe os valores que não puderam ser descriptografados
+ * @param {object[]} failures - Falhas de descriptografia
+ */
+function reportFailures(failures) {
+    console.error(`${failures.length} valor(es) ENC: não podem ser descriptografados com as chaves atuais:`);
+    failures.forEach(failure => console.error(`  - ${failure.file}:${failure.line} (chave ${failure.keyId || 'ENV_ENCRYPTION_KEY'})`));
+}
+
+/**
+ * Extrai os arquivos adicionais informados com -f/--file
+ * @param {string[]} args - Argumentos do comando
+ * @returns {string[]} Arquivos
+ */
+function getExtraFiles(args) {
+    const files = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if ((args[i] === '-f' || args[i] === '--file') && args[i + 1]) {
+            files.push(args[++i]);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Lida com comando key (init, verify e rotate)
+ * @param {string[]} args - Argumentos do comando
+ */
+async function handleKeyCommand(args) {
+    try {
+        // Carrega variáveis de ambiente para garantir ENV_ENCRYPTION_KEY (valores legados)
+        importService.loadEnvironmentVariables();
+
+        const subcommand = args[0];
+        const keyFilePath = environmentService.getKeyFilePath();
+
+        if (!subcommand || subcommand === '--help' || subcommand === '-h') {
+            console.log('Uso: gicli key <init|verify|rotate> [-f arquivo.json]');
+            console.log('');
+            console.log('Subcomandos:');
+            console.log(`  init                  Cria o arquivo de chaves (${keyFilePath}) com permissão 0600`);
+            console.log('  verify                Localiza valores ENC: que não podem ser descriptografados');
+            console.log('  rotate                Gera nova chave e recriptografa todos os valores ENC:');
+            console.log('');
+            console.log('São verificados o .env global, ~/.gicli/env/*.env, as configurações importadas,');
+            console.log('as sessões persistidas e os arquivos adicionais informados com -f.');
+            process.exit(0);
+        }
+
+        const files = collectEncryptedFiles(getExtraFiles(args.slice(1)));
+
+        switch (subcommand) {
+            case 'init': {
+                if (environmentService.getCurrentKeyId()) {
+                    console.error(`Erro: Arquivo de chaves já existe em ${keyFilePath} (use gicli key rotate para gerar uma nova chave)`);
+                    process.exit(1);
+                }
+                const keyId = environmentService.addKey();
+                console.log(`Chave ${keyId} criada em ${keyFilePath}`);
+                if (process.env.ENV_ENCRYPTION_KEY) {
+                    console.log('Valores legados (ENV_ENCRYPTION_KEY) continuam legíveis; use gicli key rotate para migrá-los para a nova chave');
+                }
+                break;
+            }
+
+            case 'verify': {
+                if (existsSync(keyFilePath) && (statSync(keyFilePath).mode & 0o077) !== 0) {
+                    console.warn(`Aviso: ${keyFilePath} pode ser lido por outros usuários (execute chmod 600)`);
+                }
+
+                const { values, failures } = decryptAll(files);
+                const byKey = {};
+                values.forEach(entry => {
+                    const keyId = entry.keyId || 'ENV_ENCRYPTION_KEY';
+                    byKey[keyId] = (byKey[keyId] || 0) + 1;
+                });
+
+                console.log(`Chave atual: ${environmentService.getCurrentKeyId() || (process.env.ENV_ENCRYPTION_KEY ? 'ENV_ENCRYPTION_KEY' : 'nenhuma')}`);
+                console.log(`${values.length} valor(es) ENC: válidos em ${files.length} arquivo(s)${values.length ? `: ${Object.entries(byKey).map(([keyId, count]) => `${keyId}=${count}`).join(', ')}` : ''}`);
+
+                if (failures.length > 0) {
+                    reportFailures(failures);
+                    process.exit(1);
+                }
+                break;
+            }
+
+            case 'rotate': {
+                // Nada é alterado se algum valor não puder ser descriptografado
+                const { values, failures } = decryptAll(files);
+                if (failures.length > 0) {
+                    reportFailures(failures);
+                    console.error('Rotação cancelada: nenhum arquivo foi alterado');
+                    process.exit(1);
+                }
+
+                const keyId = environmentService.addKey();
+                const changedFiles = [...new Set(values.map(entry => entry.file))];
+
+                for (const file of changedFiles) {
+                    let content = readFileSync(file, 'utf8');
+                    const fileValues = values.filter(entry => entry.file === file);
+                    for (const entry of fileValues) {
+                        content = content.split(entry.value).join(environmentService.encrypt(entry.plain, keyId));
+                    }
+                    writeFileSync(file, content);
+                    console.log(`  - ${file}: ${fileValues.length} valor(es) recriptografado(s)`);
+                }
+
+                console.log(`Nova chave ${keyId} criada em ${keyFilePath}; ${values.length} valor(es) recriptografado(s)`);
+                console.log('As chaves anteriores são mantidas no arquivo para valores em arquivos não verificados');
+                break;
+            }
+
+            default:
+                console.error(`Subcomando desconhecido: ${subcommand}`);
+                console.log('Use gicli key --help para ver as opções disponíveis');
+                process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('❌ Erro ao gerenciar chaves:', error.message);
+        process.exit(1);
+    }
+}
+
+export default handleKeyCommand;
@@ -77,17 +77,15 @@ async function processJobOutput(jobConfig, jobResult, originConfig, mode, silent
                 console.log('Processando saída para banco de dados...');
             }
 
-            // Usa connection_string do job ou fallback para connection_string da origem
-            const connectionString = jobConfig.output.connection_string || originConfig.connection_string;
+            // Usa connection_string do job (já processada com o job) ou fallback para connection_string da origem
+            const connectionString = jobConfig.output.connection_string
+                || (originConfig.connection_string && environmentService.substitute(originConfig.connection_string, originConfig.name));
 
             if (!connectionString) {
                 throw new Error(`Connection string não encontrada para job ${jobConfig.id}`);
             }
 
-            // Aplica substituição de variáveis de ambiente na connection_string
-            const connectionStringSubstituted = environmentService.substitute(connectionString, originConfig.name);
-
-            await transportService.connect(jobConfig.output.driver, connectionStringSubstituted);
+            await transportService.connect(jobConfig.output.driver, connectionString);
             transportService.setSilent(silent);
             const outputResult = await transportService.processDatabaseOutput(
                 jobResult.response.data,
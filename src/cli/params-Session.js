@@ -0,0 +1,112 @@
+import sessionService from '../services/session/index.js';
+import importService from '../services/import/index.js';
+
+/**
+ * Formata a expiração de uma sessão para exibição
+ * @param {number|null} expiresAt - Timestamp de expiração
+ * @returns {string} Texto da expiração
+ */
+function formatExpiration(expiresAt) {
+    if (!expiresAt) {
+        return 'sem expiração';
+    }
+
+    const remaining = Math.round((expiresAt - Date.now()) / 1000);
+    const date = new Date(expiresAt).toISOString();
+
+    return remaining > 0 ? `${date} (em ${remaining}s)` : `${date} (expirada)`;
+}
+
+/**
+ * Mascara o valor de uma sessão para exibição
+ * @param {any} value - Valor armazenado
+ * @returns {string} Valor mascarado
+ */
+function maskValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length <= 8 ? '***' : `${text.substring(0, 4)}***${text.substring(text.length - 4)}`;
+}
+
+/**
+ * Lida com comando session (list, show e clear)
+ * @param {string[]} args - Argumentos do comando
+ */
+async function handleSessionCommand(args) {
+    try {
+        // Carrega variáveis de ambiente para garantir ENV_ENCRYPTION_KEY
+        importService.loadEnvironmentVariables();
+
+        const subcommand = args[0];
+
+        if (!subcommand || subcommand === '--help' || subcommand === '-h') {
+            console.log('Uso: gicli session <list|show|clear> [chave]');
+            console.log('');
+            console.log('Subcomandos:');
+            console.log('  list                  Lista as sessões persistidas');
+            console.log('  show <chave>          Exibe uma sessão (valor mascarado, use --reveal para exibir)');
+            console.log('  clear [chave]         Remove uma sessão ou todas (--expired remove apenas as expiradas)');
+            process.exit(0);
+        }
+
+        if (!sessionService.isPersistenceAvailable()) {
+            console.error('Erro: Nenhuma chave de criptografia configurada (gicli key init ou ENV_ENCRYPTION_KEY), sessões não são persistidas');
+            process.exit(1);
+        }
+
+        const stored = sessionService.listPersisted();
+
+        switch (subcommand) {
+            case 'list': {
+                const keys = Object.keys(stored);
+                if (keys.length === 0) {
+                    console.log('Nenhuma sessão persistida.');
+                    break;
+                }
+                console.log(`Sessões persistidas em ${sessionService.storePath}:`);
+                keys.forEach(key => console.log(`  - ${key}: ${formatExpiration(stored[key].expiresAt)}`));
+                break;
+            }
+
+            case 'show': {
+                const key = args[1];
+                if (!key) {
+                    console.error('Erro: Informe a chave da sessão');
+                    process.exit(1);
+                }
+                const entry = stored[key];
+                if (!entry) {
+                    console.error(`Sessão '${key}' não encontrada`);
+                    process.exit(1);
+                }
+                const reveal = args.includes('--reveal');
+                console.log(`Chave:     ${key}`);
+                console.log(`Criada em: ${new Date(entry.createdAt).toISOString()}`);
+                console.log(`Expira:    ${formatExpiration(entry.expiresAt)}`);
+                console.log(`Valor:     ${reveal ? (typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value, null, 2)) : maskValue(entry.value)}`);
+                break;
+            }
+
+            case 'clear': {
+                const key = args[1] && !args[1].startsWith('--') ? args[1] : null;
+                const removed = sessionService.clearPersisted(key, args.includes('--expired'));
+                if (key && removed.length === 0) {
+                    console.error(`Sessão '${key}' não encontrada`);
+                    process.exit(1);
+                }
+                console.log(`${removed.length} sessão(ões) removida(s)${removed.length ? `: ${removed.join(', ')}` : ''}`);
+                break;
+            }
+
+            default:
+                console.error(`Subcomando desconhecido: ${subcommand}`);
+                console.log('Use gicli session --help para ver as opções disponíveis');
+                process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('❌ Erro ao gerenciar sessões:', error.message);
+        process.exit(1);
+    }
+}
+
+export default handleSessionCommand;
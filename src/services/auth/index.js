@@ -1,15 +1,25 @@
 import httpClientService from '../http-client/index.js';
 import sessionService from '../session/index.js';
 import environmentService from '../environment/index.js';
+import rateLimiterService from '../rate-limiter/index.js';
+import cookieJarService from '../cookie-jar/index.js';
+import { createHash, createHmac, getHashes, randomUUID } from 'crypto';
 
 /**
  * Serviço de Autenticação
  * Gerencia login e tokens de sessão
  */
 
+const OAUTH2_GRANT_TYPES = ['client_credentials', 'password', 'refresh_token'];
+const AUTH_SCHEMES = ['basic', 'api_key', 'bearer', 'hmac', 'none'];
+const HMAC_DIGEST_ENCODINGS = ['hex', 'base64', 'base64url'];
+const DEFAULT_REFRESH_MARGIN = 30; // Segundos antes da expiração para renovar o token
+const DEFAULT_HMAC_STRING_TO_SIGN = '{method}\n{path}\n{timestamp}\n{body_hash}';
+
 class AuthService {
   constructor() {
     this.activeSessions = new Map(); // origin -> sessionName
+    this.pendingAuthentications = new Map(); // sessionName -> Promise (jobs em paralelo compartilham o login)
   }
 
   /**
@@ -27,18 +37,30 @@ class AuthService {
       }
 
       // Carrega variáveis de ambiente
-      environmentService.load(originConfig.name);
+      environmentService.load(originConfig.name, mode);
+      rateLimiterService.validate(originConfig);
+
+      // Endpoints OAuth2 usam corpo form-urlencoded e grants próprios
+      if (jobConfig.auth?.type === 'oauth2') {
+        return await this.authenticateOAuth2(originConfig, jobConfig, mode, silent);
+      }
 
       // Constrói a URL completa
       const baseUrl = jobConfig.base_url || originConfig.base_url;
       const url = this.buildUrl(baseUrl, jobConfig.path, jobConfig.params);
 
-      // Prepara headers
-      const headers = { ...jobConfig.headers };
-
       // Substitui variáveis de ambiente
       const processedPayload = environmentService.substituteDeep(jobConfig.payload, originConfig.name);
-      const processedHeaders = environmentService.substituteDeep(headers, originConfig.name);
+      const processedHeaders = { ...environmentService.substituteDeep(jobConfig.headers || {}, originConfig.name) };
+
+      // Em modo estrito (padrão em produção) credenciais não resolvidas falham antes do envio
+      const template = environmentService.getSource(jobConfig);
+      environmentService.assertPlaceholdersResolved(
+        { path: jobConfig.path, headers: processedHeaders, params: jobConfig.params, payload: processedPayload },
+        environmentService.isStrictMode(jobConfig, originConfig, mode),
+        jobConfig.id,
+        { path: template.path, headers: template.headers, params: template.params, payload: template.payload }
+      );
 
       // Configura modo silencioso no HTTP client
       httpClientService.setSilent(silent);
@@ -47,9 +69,21 @@ class AuthService {
       const response = await httpClientService.request(jobConfig.method, url, {
         headers: processedHeaders,
         body: processedPayload,
-        timeout: jobConfig.timeout || 30000
+        timeout: jobConfig.timeout || 30000,
+        beforeAttempt: () => rateLimiterService.acquire(originConfig)
       });
 
+      // Captura valores adicionais da resposta em variáveis $SESSION_*
+      if (jobConfig.capture) {
+        sessionService.capture(jobConfig.capture, response);
+      }
+
+      // Sessão baseada em cookies (ex: B1SESSION/ROUTEID) em vez de token
+      if (jobConfig.auth?.type === 'cookie') {
+        this.storeCookieSession(originConfig, jobConfig, response, url, silent);
+        return true;
+      }
+
       // Extrai o token da resposta
       const token = this.extractToken(response.data, jobConfig);
 
@@ -58,18 +92,9 @@ class AuthService {
       }
 
       // Determina o tempo de expiração
-      const expiresIn = this.extractExpiration(response.data, jobConfig);
-      const sessionName = jobConfig.session_name || `SESSION_${originConfig.name.toUpperCase()}_TOKEN`;
-
-      // Armazena na sessão
-      sessionService.set(sessionName, token, expiresIn);
+      const expiresIn = this.extractExpiration(response.data, jobConfig, token);
 
-      // Registra a sessão ativa
-      this.activeSessions.set(originConfig.name, sessionName);
-
-      if (!silent) {
-        console.log(`Autenticação bem-sucedida para ${originConfig.name}, token armazenado em ${sessionName}`);
-      }
+      this.storeSession(originConfig, jobConfig, token, expiresIn, silent);
 
       return true;
 
@@ -81,6 +106,562 @@ class AuthService {
     }
   }
 
+  /**
+   * Executa autenticação OAuth2 (client_credentials, password ou refresh_token)
+   * Se houver refresh token armazenado, tenta renová-lo antes de um login completo
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job de auth
+   * @param {string} mode - Modo de execução
+   * @param {boolean} silent - Modo silencioso
+   * @returns {Promise<boolean>} True se autenticado com sucesso
+   */
+  async authenticateOAuth2(originConfig, jobConfig, mode = 'production', silent = false) {
+    const oauth = environmentService.substituteDeep(jobConfig.auth, originConfig.name);
+
+    environmentService.assertPlaceholdersResolved(
+      { auth: oauth },
+      environmentService.isStrictMode(jobConfig, originConfig, mode),
+      jobConfig.id
+    );
+    const grantType = oauth.grant_type || 'client_credentials';
+
+    if (!OAUTH2_GRANT_TYPES.includes(grantType)) {
+      throw new Error(`Grant OAuth2 não suportado: ${grantType}. Grants disponíveis: ${OAUTH2_GRANT_TYPES.join(', ')}`);
+    }
+
+    const sessionName = this.getSessionName(originConfig, jobConfig);
+    const refreshToken = this.getRefreshToken(sessionName) || (grantType === 'refresh_token' ? oauth.refresh_token : null);
+    let tokenData = null;
+
+    if (refreshToken) {
+      try {
+        tokenData = await this.requestOAuth2Token(originConfig, jobConfig, oauth, 'refresh_token', refreshToken);
+        if (!silent) {
+          console.log(`Token renovado via refresh_token para ${originConfig.name}`);
+        }
+      } catch (error) {
+        // Refresh token inválido/expirado: descarta e segue para o login completo
+        sessionService.delete(`${sessionName}_REFRESH`);
+        if (grantType === 'refresh_token') {
+          throw new Error(`Falha ao renovar token OAuth2: ${error.message}`);
+        }
+        if (!silent) {
+          console.warn(`Falha ao usar refresh_token para ${originConfig.name}, executando login completo: ${error.message}`);
+        }
+      }
+    } else if (grantType === 'refresh_token') {
+      throw new Error(`Nenhum refresh_token disponível para ${originConfig.name}`);
+    }
+
+    if (!tokenData) {
+      tokenData = await this.requestOAuth2Token(originConfig, jobConfig, oauth, grantType);
+    }
+
+    // Captura valores adicionais da resposta em variáveis $SESSION_*
+    if (jobConfig.capture) {
+      sessionService.capture(jobConfig.capture, { data: tokenData });
+    }
+
+    const tokenConfig = {
+      ...jobConfig,
+      token_identifier: jobConfig.token_identifier || 'access_token',
+      token_expiration_identifier: jobConfig.token_expiration_identifier || 'expires_in'
+    };
+
+    const token = this.extractToken(tokenData, tokenConfig);
+
+    if (!token) {
+      throw new Error('Token não encontrado na resposta de autenticação');
+    }
+
+    const expiresIn = this.extractExpiration(tokenData, tokenConfig, token);
+    this.storeSession(originConfig, jobConfig, token, expiresIn, silent);
+
+    // Armazena o refresh token junto do access token (mantém o anterior se o servidor não emitir outro)
+    const newRefreshToken = this.extractToken(tokenData, { token_identifier: oauth.refresh_token_identifier || 'refresh_token' });
+    if (newRefreshToken) {
+      const refreshExpiresIn = typeof tokenData.refresh_expires_in === 'number' ? tokenData.refresh_expires_in : null;
+      sessionService.set(`${sessionName}_REFRESH`, newRefreshToken, refreshExpiresIn, { persist: true });
+    }
+
+    return true;
+  }
+
+  /**
+   * Faz a requisição ao endpoint de token OAuth2
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job de auth
+   * @param {object} oauth - Bloco auth com variáveis já substituídas
+   * @param {string} grantType - Grant a utilizar
+   * @param {string} refreshToken - Refresh token (apenas para grant refresh_token)
+   * @returns {Promise<object>} Dados da resposta do endpoint de token
+   */
+  async requestOAuth2Token(originConfig, jobConfig, oauth, grantType, refreshToken = null) {
+    const baseUrl = jobConfig.base_url || originConfig.base_url;
+    const url = this.buildUrl(baseUrl, jobConfig.path, jobConfig.params || {});
+
+    const body = new URLSearchParams();
+    body.append('grant_type', grantType);
+
+    if (grantType === 'password') {
+      body.append('username', oauth.username);
+      body.append('password', oauth.password);
+    } else if (grantType === 'refresh_token') {
+      body.append('refresh_token', refreshToken);
+    }
+
+    if (oauth.scope) {
+      body.append('scope', Array.isArray(oauth.scope) ? oauth.scope.join(' ') : oauth.scope);
+    }
+
+    for (const [key, value] of Object.entries(oauth.extra_params || {})) {
+      body.append(key, value);
+    }
+
+    const headers = {
+      ...environmentService.substituteDeep(jobConfig.headers || {}, originConfig.name),
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+
+    // Credenciais do cliente: Basic auth (padrão) ou no corpo da requisição
+    if (oauth.client_id) {
+      if ((oauth.client_auth || 'basic') === 'basic' && oauth.client_secret) {
+        const credentials = `${encodeURIComponent(oauth.client_id)}:${encodeURIComponent(oauth.client_secret)}`;
+        headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.append('client_id', oauth.client_id);
+        if (oauth.client_secret) {
+          body.append('client_secret', oauth.client_secret);
+        }
+      }
+    }
+
+    const response = await httpClientService.request(jobConfig.method || 'POST', url, {
+      headers,
+      body: body.toString(),
+      timeout: jobConfig.timeout || 30000,
+      beforeAttempt: () => rateLimiterService.acquire(originConfig)
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Armazena os cookies da resposta de login como sessão da origem
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job de auth
+   * @param {object} response - Resposta do login
+   * @param {string} url - URL do login
+   * @param {boolean} silent - Modo silencioso
+   */
+  storeCookieSession(originConfig, jobConfig, response, url, silent = false) {
+    // Cookies já expirados (ex: removidos pelo servidor com Max-Age=0) são descartados
+    const cookies = cookieJarService.merge([], cookieJarService.parse(response.setCookies, response.url || url));
+
+    if (cookies.length === 0) {
+      throw new Error('Cookies não encontrados na resposta de autenticação');
+    }
+
+    const missing = (jobConfig.auth.cookie_names || []).filter(name => !cookies.some(cookie => cookie.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Cookies não encontrados na resposta de autenticação: ${missing.join(', ')}`);
+    }
+
+    // Expiração: campo da resposta / token_expiration_time, limitada pelo primeiro cookie a expirar
+    const configuredExpiration = this.extractExpiration(response.data, jobConfig);
+    const cookieExpiration = cookieJarService.getExpiration(cookies);
+    const expiresIn = cookieExpiration !== null ? Math.min(configuredExpiration, cookieExpiration) : configuredExpiration;
+
+    this.storeSession(originConfig, jobConfig, cookies, expiresIn, silent);
+  }
+
+  /**
+   * Atualiza o cookie jar de uma sessão com cookies recebidos em outras respostas
+   * @param {string} sessionName - Nome da sessão
+   * @param {string[]} setCookieHeaders - Headers Set-Cookie recebidos
+   * @param {string} url - URL da requisição
+   */
+  updateCookieSession(sessionName, setCookieHeaders, url) {
+    const jar = sessionService.get(sessionName);
+
+    if (!Array.isArray(jar) || !setCookieHeaders?.length) return;
+
+    const ttl = sessionService.getRemainingTtl(sessionName);
+    if (ttl === 0) return;
+
+    const updated = cookieJarService.merge(jar, cookieJarService.parse(setCookieHeaders, url));
+    sessionService.set(sessionName, updated, ttl, { persist: true });
+  }
+
+  /**
+   * Armazena o token na sessão e registra a sessão ativa da origem
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job de auth
+   * @param {string} token - Token obtido
+   * @param {number} expiresIn - Segundos até expirar
+   * @param {boolean} silent - Modo silencioso
+   * @throws {Error} Se o token recebido já estiver expirado (não é armazenado; a próxima execução autentica novamente)
+   */
+  storeSession(originConfig, jobConfig, token, expiresIn, silent = false) {
+    const sessionName = this.getSessionName(originConfig, jobConfig);
+
+    if (expiresIn !== null && expiresIn <= 0) {
+      sessionService.delete(sessionName);
+      throw new Error(`Token recebido para ${originConfig.name} já está expirado (expiração: ${expiresIn}s)`);
+    }
+
+    // Armazena na sessão (persistida para reaproveitamento em execuções futuras)
+    sessionService.set(sessionName, token, expiresIn, { persist: true });
+
+    // Registra a sessão ativa
+    this.activeSessions.set(originConfig.name, sessionName);
+
+    if (!silent) {
+      console.log(`Autenticação bem-sucedida para ${originConfig.name}, token armazenado em ${sessionName}`);
+    }
+  }
+
+  /**
+   * Obtém o nome da sessão de um job de auth
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job de auth
+   * @returns {string} Nome da sessão
+   */
+  getSessionName(originConfig, jobConfig) {
+    return jobConfig.session_name || `SESSION_${originConfig.name.toUpperCase()}_TOKEN`;
+  }
+
+  /**
+   * Obtém o refresh token armazenado para uma sessão
+   * @param {string} sessionName - Nome da sessão
+   * @returns {string|null} Refresh token ou null
+   */
+  getRefreshToken(sessionName) {
+    return sessionService.get(`${sessionName}_REFRESH`);
+  }
+
+  /**
+   * Resolve o esquema de autenticação declarativo de um job de request
+   * O auth do job tem precedência sobre o auth da origem
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job
+   * @returns {object|null} Esquema (basic, api_key, bearer ou none) ou null se o job usa token de sessão
+   */
+  resolveAuthScheme(originConfig, jobConfig) {
+    const jobAuth = jobConfig.auth;
+
+    if (jobAuth && AUTH_SCHEMES.includes(jobAuth.type)) {
+      return jobAuth;
+    }
+
+    // Jobs com token de sessão ou prefixo próprio não herdam o esquema da origem
+    if (jobAuth?.type || jobConfig.session_name) {
+      return null;
+    }
+
+    const originAuth = originConfig.auth;
+    return originAuth && AUTH_SCHEMES.includes(originAuth.type) ? originAuth : null;
+  }
+
+  /**
+   * Aplica um esquema de autenticação declarativo nos headers ou parâmetros da requisição
+   * @param {object} scheme - Esquema de autenticação
+   * @param {object} headers - Headers da requisição (alterados no local)
+   * @param {object} params - Parâmetros de query (alterados no local)
+   * @param {string} originName - Nome da origem (para substituição de variáveis)
+   * @param {Function} resolveVariables - Resolve variáveis de execução ($SESSION_*, macros de data) nas credenciais (opcional)
+   * @returns {object} Esquema com as variáveis substituídas
+   */
+  applyAuthScheme(scheme, headers, params, originName, resolveVariables = auth => auth) {
+    const auth = resolveVariables(environmentService.substituteDeep(scheme, originName));
+
+    switch (auth.type) {
+      case 'basic': {
+        if (!auth.username || auth.password === undefined) {
+          throw new Error(`Autenticação basic requer 'username' e 'password' (origem ${originName})`);
+        }
+        const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+        headers['Authorization'] = `Basic ${credentials}`;
+        break;
+      }
+
+      case 'api_key': {
+        if (!auth.key) {
+          throw new Error(`Autenticação api_key requer 'key' (origem ${originName})`);
+        }
+        const name = auth.name || (auth.in === 'query' ? 'api_key' : 'X-API-Key');
+        httpClientService.registerSensitiveName(name); // Nomes customizados também são mascarados nos logs
+        if (auth.in === 'query') {
+          params[name] = auth.key;
+        } else {
+          headers[name] = auth.prefix ? `${auth.prefix} ${auth.key}` : auth.key;
+        }
+        break;
+      }
+
+      case 'bearer':
+        if (!auth.token) {
+          throw new Error(`Autenticação bearer requer 'token' (origem ${originName})`);
+        }
+        headers['Authorization'] = `${auth.prefix || 'Bearer'} ${auth.token}`;
+        break;
+
+      case 'hmac':
+        // A assinatura depende da requisição final e é aplicada por signRequest;
+        // a configuração é validada aqui, antes das tentativas de envio
+        this.validateHmacScheme(auth, originName);
+        httpClientService.registerSensitiveName(auth.signature_header || 'X-Signature'); // A assinatura é mascarada nos logs de cada tentativa
+        break;
+
+      case 'none':
+        // Sobrescreve o esquema da origem: requisição sem autenticação
+        break;
+    }
+
+    return auth;
+  }
+
+  /**
+   * Assina uma requisição com HMAC, adicionando os headers de assinatura
+   * Deve ser chamado com URL, headers e body finais (após substituição de variáveis)
+   * @param {object} scheme - Esquema de autenticação (type: hmac)
+   * @param {object} request - Requisição final
+   * @param {string} request.method - Método HTTP
+   * @param {string} request.url - URL final
+   * @param {object} request.headers - Headers finais (alterados no local)
+   * @param {string} request.body - Corpo serializado (opcional)
+   * @param {string} originName - Nome da origem (para substituição de variáveis)
+   */
+  signRequest(scheme, request, originName) {
+    const hmac = environmentService.substituteDeep(scheme, originName);
+    this.validateHmacScheme(hmac, originName);
+
+    const algorithm = hmac.algorithm || 'sha256';
+    const body = request.body || '';
+    const url = new URL(request.url);
+    const timestamp = this.formatSignatureTimestamp(hmac.timestamp_format);
+    const nonce = randomUUID();
+
+    const values = {
+      method: request.method.toUpperCase(),
+      path: url.pathname,
+      query: url.search.replace(/^\?/, ''),
+      path_with_query: url.pathname + url.search,
+      host: url.host,
+      timestamp,
+      nonce,
+      body,
+      body_hash: createHash(hmac.body_hash_algorithm || algorithm).update(body).digest(hmac.body_hash_encoding || 'hex'),
+      // O HTTP client envia corpos como application/json quando o Content-Type não é informado
+      content_type: request.headers['Content-Type'] || request.headers['content-type'] || (body ? 'application/json' : ''),
+      key_id: hmac.key_id || ''
+    };
+
+    const template = hmac.string_to_sign || DEFAULT_HMAC_STRING_TO_SIGN;
+    const stringToSign = template.replace(/\{([a-z_]+)\}/g, (match, name) => (name in values ? values[name] : match));
+
+    const secret = Buffer.from(hmac.secret, hmac.secret_encoding || 'utf8');
+    const signature = createHmac(algorithm, secret).update(stringToSign).digest(hmac.signature_encoding || 'hex');
+
+    request.headers[hmac.signature_header || 'X-Signature'] = hmac.signature_prefix ? `${hmac.signature_prefix}${signature}` : signature;
+    request.headers[hmac.timestamp_header || 'X-Timestamp'] = timestamp;
+
+    if (hmac.key_id) {
+      request.headers[hmac.key_id_header || 'X-Key-Id'] = hmac.key_id;
+    }
+    if (hmac.nonce_header) {
+      request.headers[hmac.nonce_header] = nonce;
+    }
+  }
+
+  /**
+   * Valida a configuração de um esquema hmac (segredo, algoritmos, codificações e nomes de header)
+   * @param {object} hmac - Esquema hmac com as variáveis substituídas
+   * @param {string} originName - Nome da origem (para a mensagem)
+   * @throws {Error} Se a configuração for inválida
+   */
+  validateHmacScheme(hmac, originName) {
+    if (!hmac.secret) {
+      throw new Error(`Autenticação hmac requer 'secret' (origem ${originName})`);
+    }
+
+    const hashes = getHashes();
+    for (const field of ['algorithm', 'body_hash_algorithm']) {
+      if (hmac[field] && !hashes.includes(hmac[field].toLowerCase())) {
+        throw new Error(`Autenticação hmac: ${field} '${hmac[field]}' não suportado (origem ${originName})`);
+      }
+    }
+
+    for (const field of ['signature_encoding', 'body_hash_encoding']) {
+      if (hmac[field] && !HMAC_DIGEST_ENCODINGS.includes(hmac[field])) {
+        throw new Error(`Autenticação hmac: ${field} '${hmac[field]}' inválido (use ${HMAC_DIGEST_ENCODINGS.join(', ')}) (origem ${originName})`);
+      }
+    }
+
+    if (hmac.secret_encoding && !Buffer.isEncoding(hmac.secret_encoding)) {
+      throw new Error(`Autenticação hmac: secret_encoding '${hmac.secret_encoding}' inválido (origem ${originName})`);
+    }
+
+    for (const field of ['signature_header', 'timestamp_header', 'key_id_header', 'nonce_header']) {
+      if (hmac[field] !== undefined && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(hmac[field])) {
+        throw new Error(`Autenticação hmac: ${field} '${hmac[field]}' não é um nome de header válido (origem ${originName})`);
+      }
+    }
+  }
+
+  /**
+   * Formata o timestamp usado na assinatura HMAC
+   * @param {string} format - unix (segundos), unix_ms ou iso
+   * @returns {string} Timestamp formatado
+   */
+  formatSignatureTimestamp(format = 'unix') {
+    const now = Date.now();
+
+    switch (format) {
+      case 'unix_ms':
+        return String(now);
+      case 'iso':
+        return new Date(now).toISOString();
+      case 'unix':
+      default:
+        return String(Math.floor(now / 1000));
+    }
+  }
+
+  /**
+   * Resolve onde o token de sessão é injetado na requisição
+   * Precedência: job de request, job de auth (vale para tokens de outras origens), origem
+   * @param {object} jobConfig - Configuração do job de request
+   * @param {object} authJobConfig - Configuração do job de auth que gerou o token (opcional)
+   * @param {object} originConfig - Configuração da origem do job (opcional)
+   * @returns {object} { in: header|query|body, name, prefix }
+   */
+  resolveTokenPlacement(jobConfig, authJobConfig = null, originConfig = null) {
+    const placement = jobConfig.token_placement || authJobConfig?.token_placement || originConfig?.token_placement || {};
+    const location = placement.in || 'header';
+    const defaultNames = { header: 'Authorization', query: 'access_token', body: 'access_token' };
+    const name = placement.name || defaultNames[location];
+
+    // Mantém o comportamento legado: Authorization com auth.type (ou Bearer) como prefixo
+    const defaultPrefix = location === 'header' && name === 'Authorization' ? (jobConfig.auth?.type || 'Bearer') : '';
+
+    return {
+      in: location,
+      name,
+      prefix: placement.prefix ?? defaultPrefix
+    };
+  }
+
+  /**
+   * Injeta o token de sessão na requisição conforme a configuração de posicionamento
+   * @param {string} token - Token de sessão
+   * @param {object} placement - Posicionamento resolvido por resolveTokenPlacement
+   * @param {object} request - { headers, params, payload } (headers e params alterados no local)
+   * @returns {any} Payload resultante (novo objeto quando o token vai no corpo)
+   */
+  applyToken(token, placement, request) {
+    const value = placement.prefix ? `${placement.prefix} ${token}` : token;
+
+    if (placement.in !== 'body') {
+      httpClientService.registerSensitiveName(placement.name);
+    }
+
+    switch (placement.in) {
+      case 'query':
+        request.params[placement.name] = value;
+        return request.payload;
+
+      case 'body': {
+        let payload = request.payload ?? {};
+        if (typeof payload === 'string') {
+          try {
+            payload = JSON.parse(payload);
+          } catch {
+            throw new Error('Token no corpo requer payload JSON');
+          }
+        }
+
+        const result = JSON.parse(JSON.stringify(payload)); // Payload JSON (structuredClone requer Node 17+)
+        const parts = placement.name.split('.');
+        let current = result;
+
+        for (let i = 0; i < parts.length - 1; i++) {
+          if (!current[parts[i]] || typeof current[parts[i]] !== 'object') {
+            current[parts[i]] = {};
+          }
+          current = current[parts[i]];
+        }
+
+        current[parts[parts.length - 1]] = value;
+        return result;
+      }
+
+      case 'header':
+      default:
+        request.headers[placement.name] = value;
+        return request.payload;
+    }
+  }
+
+  /**
+   * Mascara credenciais nos headers e URL para log
+   * @param {object} scheme - Esquema de autenticação (opcional)
+   * @param {object} headers - Headers da requisição
+   * @param {string} url - URL da requisição
+   * @param {object} tokenPlacement - Posicionamento do token de sessão (opcional)
+   * @returns {object} { headers, url } mascarados
+   */
+  maskCredentials(scheme, headers, url, tokenPlacement = null) {
+    const maskedHeaders = { ...headers };
+    const secrets = [];
+
+    if (maskedHeaders['Authorization']) {
+      maskedHeaders['Authorization'] = `${maskedHeaders['Authorization'].split(' ')[0]} ***`;
+    }
+
+    if (maskedHeaders['Cookie']) {
+      maskedHeaders['Cookie'] = maskedHeaders['Cookie'].replace(/=([^;]*)/g, '=***');
+    }
+
+    if (scheme?.type === 'api_key') {
+      secrets.push({
+        in: scheme.in || 'header',
+        name: scheme.name || (scheme.in === 'query' ? 'api_key' : 'X-API-Key')
+      });
+    }
+
+    if (scheme?.type === 'hmac') {
+      secrets.push({ in: 'header', name: scheme.signature_header || 'X-Signature' });
+    }
+
+    if (tokenPlacement) {
+      secrets.push(tokenPlacement);
+    }
+
+    const parsed = new URL(url);
+
+    for (const secret of secrets) {
+      if (secret.in === 'query' && parsed.searchParams.has(secret.name)) {
+        parsed.searchParams.set(secret.name, '***');
+      } else if (secret.in === 'header' && maskedHeaders[secret.name] && secret.name !== 'Authorization') {
+        maskedHeaders[secret.name] = '***';
+      }
+    }
+
+    return { headers: maskedHeaders, url: secrets.some(secret => secret.in === 'query') ? parsed.toString() : url };
+  }
+
+  /**
+   * Obtém o valor armazenado na sessão de um job de auth (token ou cookie jar)
+   * @param {object} originConfig - Configuração da origem do job de auth
+   * @param {object} jobConfig - Configuração do job de auth
+   * @returns {string|object[]|null} Token, cookie jar ou null
+   */
+  getSessionToken(originConfig, jobConfig) {
+    return sessionService.get(this.getSessionName(originConfig, jobConfig));
+  }
+
   /**
    * Verifica se há um token válido para uma origem
    * @param {string} originName - Nome da origem
@@ -91,10 +672,19 @@ class AuthService {
     return sessionName ? sessionService.has(sessionName) : false;
   }
 
+  /**
+   * Obtém o nome da sessão ativa de uma origem
+   * @param {string} originName - Nome da origem
+   * @returns {string|null} Nome da sessão ou null
+   */
+  getActiveSessionName(originName) {
+    return this.activeSessions.get(originName) || null;
+  }
+
   /**
    * Obtém token para uma origem
    * @param {string} originName - Nome da origem
-   * @returns {string|null} Token ou null se não encontrado
+   * @returns {string|object[]|null} Token (ou cookie jar) ou null se não encontrado
    */
   getToken(originName) {
     const sessionName = this.activeSessions.get(originName);
@@ -110,14 +700,45 @@ class AuthService {
    * @returns {Promise<boolean>} True se renovado
    */
   async refreshAuthentication(originConfig, jobConfig, mode = 'production', silent = false) {
+    // Reaproveita token persistido por uma execução anterior
+    const sessionName = this.getSessionName(originConfig, jobConfig);
+    if (!this.activeSessions.has(originConfig.name) && sessionService.has(sessionName)) {
+      this.activeSessions.set(originConfig.name, sessionName);
+    }
+
     if (this.isAuthenticated(originConfig.name)) {
+      // Renova proativamente quando o token está perto de expirar
+      const margin = jobConfig.token_refresh_margin ?? DEFAULT_REFRESH_MARGIN;
+      const remaining = sessionService.getRemainingTtl(this.activeSessions.get(originConfig.name));
+
+      if (remaining === null || remaining > margin) {
+        if (!silent) {
+          console.log(`Token ainda válido para ${originConfig.name}`);
+        }
+        return true;
+      }
+
       if (!silent) {
-        console.log(`Token ainda válido para ${originConfig.name}`);
+        console.log(`Token de ${originConfig.name} expira em ${remaining}s, renovando antecipadamente`);
       }
-      return true;
     }
 
-    return this.authenticate(originConfig, jobConfig, mode, silent);
+    // Jobs executados em paralelo aguardam a mesma autenticação em andamento
+    if (!this.pendingAuthentications.has(sessionName)) {
+      this.pendingAuthentications.set(sessionName, this.authenticate(originConfig, jobConfig, mode, silent)
+        .finally(() => this.pendingAuthentications.delete(sessionName)));
+    }
+
+    return this.pendingAuthentications.get(sessionName);
+  }
+
+  /**
+   * Invalida o access token de um job de auth, mantendo o refresh token
+   * @param {object} originConfig - Configuração da origem
+   * @param {object} jobConfig - Configuração do job de auth
+   */
+  invalidateToken(originConfig, jobConfig) {
+    sessionService.delete(this.getSessionName(originConfig, jobConfig));
   }
 
   /**
@@ -128,6 +749,7 @@ class AuthService {
     const sessionName = this.activeSessions.get(originName);
     if (sessionName) {
       sessionService.delete(sessionName);
+      sessionService.delete(`${sessionName}_REFRESH`);
       this.activeSessions.delete(originName);
       console.log(`Logout realizado para ${originName}`);
     }
@@ -192,35 +814,80 @@ class AuthService {
 
   /**
    * Extrai tempo de expiração da resposta
+   * Ordem: campo token_expiration_identifier, claim exp do JWT, token_expiration_time, 1 hora
    * @param {any} responseData - Dados da resposta
    * @param {object} jobConfig - Configuração do job
+   * @param {string} token - Token obtido (opcional, para leitura do exp de JWTs)
    * @returns {number|null} Segundos até expirar
    */
-  extractExpiration(responseData, jobConfig) {
+  extractExpiration(responseData, jobConfig, token = null) {
     const expirationPath = jobConfig.token_expiration_identifier;
-    const defaultTime = jobConfig.token_expiration_time;
+    const defaultTime = jobConfig.token_expiration_time || 3600; // 1 hora padrão
 
-    if (!expirationPath) return defaultTime || 3600; // 1 hora padrão
+    if (expirationPath) {
+      const value = this.extractValue(responseData, expirationPath);
+      const seconds = typeof value === 'number' ? value : parseInt(value);
+      if (seconds) {
+        return seconds;
+      }
+    }
+
+    if (token && jobConfig.token_expiration_from_jwt !== false) {
+      const jwtExpiration = this.getJwtExpiration(token);
+      if (jwtExpiration !== null) {
+        return jwtExpiration;
+      }
+    }
+
+    return defaultTime;
+  }
 
+  /**
+   * Obtém valor da resposta por caminho simples ou aninhado (ex: "data.expires_in")
+   * @param {any} responseData - Dados da resposta
+   * @param {string} path - Caminho do campo
+   * @returns {any} Valor ou undefined
+   */
+  extractValue(responseData, path) {
     // Se for caminho simples
-    if (typeof responseData === 'object' && responseData[expirationPath]) {
-      const value = responseData[expirationPath];
-      return typeof value === 'number' ? value : parseInt(value);
+    if (responseData && typeof responseData === 'object' && path in responseData) {
+      return responseData[path];
     }
 
     // Se for caminho aninhado
-    const pathParts = expirationPath.split('.');
     let current = responseData;
 
-    for (const part of pathParts) {
+    for (const part of path.split('.')) {
       if (current && typeof current === 'object' && part in current) {
         current = current[part];
       } else {
-        return defaultTime || 3600;
+        return undefined;
       }
     }
 
-    return typeof current === 'number' ? current : parseInt(current) || defaultTime || 3600;
+    return current;
+  }
+
+  /**
+   * Lê a claim exp de um token JWT
+   * @param {string} token - Token
+   * @returns {number|null} Segundos até expirar (zero ou negativo se expirado) ou null se não for um JWT com exp
+   */
+  getJwtExpiration(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 3) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+
+      if (typeof payload.exp !== 'number') return null;
+
+      // Pode ser zero ou negativo: o token já expirou
+      return Math.floor(payload.exp - Date.now() / 1000);
+    } catch {
+      return null;
+    }
   }
 }
 
@@ -0,0 +1,67 @@
+import environmentService from '../environment/index.js';
+import templateService from '../template/index.js';
+import dateService from '../date/index.js';
+
+/**
+ * Serviço de Condições (when)
+ * Avalia a expressão "when" de um job antes da execução, com acesso aos resultados
+ * de jobs anteriores, às variáveis de ambiente (env) e à data atual (now)
+ */
+
+// Nomes reservados no escopo das condições
+const CONTEXT_ROOTS = ['env', 'now'];
+
+class ConditionService {
+  /**
+   * Obtém a expressão de uma condição, com ou sem chaves (ex: "{{ consulta.data.total == 0 }}")
+   * @param {string} when - Condição configurada
+   * @returns {string} Expressão
+   */
+  getExpression(when) {
+    const match = when.match(/^\s*\{\{([^}]+)\}\}\s*$/);
+    return match ? match[1] : when;
+  }
+
+  /**
+   * Lista os jobs referenciados pela condição (usado pelo DependencyResolver)
+   * @param {object} jobConfig - Configuração do job
+   * @returns {string[]} Ids de job referenciados
+   */
+  getSourceJobs(jobConfig) {
+    if (typeof jobConfig.when !== 'string') return [];
+
+    return templateService.getReferencedRoots(this.getExpression(jobConfig.when))
+      .filter(root => !CONTEXT_ROOTS.includes(root));
+  }
+
+  /**
+   * Avalia a condição de um job
+   * @param {string|boolean} when - Condição configurada
+   * @param {object} jobResults - Resultados de jobs anteriores
+   * @param {string} originName - Nome da origem (variáveis de ambiente)
+   * @param {string} timezone - Fuso horário de "now"
+   * @returns {boolean} True se o job deve ser executado
+   * @throws {Error} Se a expressão for inválida
+   */
+  evaluate(when, jobResults, originName = null, timezone = dateService.defaultTimezone) {
+    if (typeof when === 'boolean') return when;
+
+    const scope = {
+      ...environmentService.getTemplateScope(jobResults),
+      env: environmentService.getVariables(originName),
+      now: dateService.getDateContext(timezone)
+    };
+
+    try {
+      return templateService.isTruthy(templateService.evaluate(this.getExpression(when), scope, { timezone }));
+    } catch (error) {
+      throw new Error(`Condição when inválida: ${error.message}`);
+    }
+  }
+}
+
+// Instância singleton do serviço
+const conditionService = new ConditionService();
+
+export default conditionService;
+export { ConditionService };
@@ -0,0 +1,170 @@
+/**
+ * Serviço de Cookie Jar
+ * Interpreta headers Set-Cookie e monta o header Cookie respeitando domínio, path e expiração
+ * Os cookies de uma sessão são armazenados como array no SessionService
+ */
+
+class CookieJarService {
+  /**
+   * Interpreta headers Set-Cookie de uma resposta
+   * @param {string[]} setCookieHeaders - Valores dos headers Set-Cookie
+   * @param {string} requestUrl - URL da requisição que recebeu os cookies
+   * @returns {object[]} Cookies interpretados
+   */
+  parse(setCookieHeaders = [], requestUrl) {
+    const url = new URL(requestUrl);
+    const cookies = [];
+
+    for (const header of setCookieHeaders) {
+      const [pair, ...attributes] = header.split(';');
+      const separator = pair.indexOf('=');
+
+      if (separator <= 0) continue;
+
+      const cookie = {
+        name: pair.substring(0, separator).trim(),
+        value: pair.substring(separator + 1).trim(),
+        domain: url.hostname.toLowerCase(),
+        hostOnly: true,
+        path: this.defaultPath(url.pathname),
+        expiresAt: null,
+        secure: false
+      };
+
+      for (const attribute of attributes) {
+        const [rawKey, ...rawValue] = attribute.split('=');
+        const key = rawKey.trim().toLowerCase();
+        const value = rawValue.join('=').trim();
+
+        switch (key) {
+          case 'domain':
+            if (value) {
+              cookie.domain = value.replace(/^\./, '').toLowerCase();
+              cookie.hostOnly = false;
+            }
+            break;
+          case 'path':
+            if (value.startsWith('/')) cookie.path = value;
+            break;
+          case 'expires': {
+            const date = Date.parse(value);
+            // Max-Age tem precedência sobre Expires
+            if (!Number.isNaN(date) && cookie.maxAgeSet !== true) cookie.expiresAt = date;
+            break;
+          }
+          case 'max-age': {
+            const seconds = parseInt(value, 10);
+            if (!Number.isNaN(seconds)) {
+              cookie.expiresAt = Date.now() + (seconds * 1000);
+              cookie.maxAgeSet = true;
+            }
+            break;
+          }
+          case 'secure':
+            cookie.secure = true;
+            break;
+        }
+      }
+
+      delete cookie.maxAgeSet;
+      cookies.push(cookie);
+    }
+
+    return cookies;
+  }
+
+  /**
+   * Mescla novos cookies em um jar existente (substitui por nome/domínio/path e remove expirados)
+   * @param {object[]} jar - Cookies existentes
+   * @param {object[]} cookies - Novos cookies
+   * @returns {object[]} Jar atualizado
+   */
+  merge(jar = [], cookies = []) {
+    const now = Date.now();
+    const merged = jar.filter(existing => !cookies.some(cookie =>
+      cookie.name === existing.name && cookie.domain === existing.domain && cookie.path === existing.path
+    ));
+
+    merged.push(...cookies);
+
+    return merged.filter(cookie => !cookie.expiresAt || cookie.expiresAt > now);
+  }
+
+  /**
+   * Monta o header Cookie para uma URL
+   * @param {object[]} jar - Cookies armazenados
+   * @param {string} requestUrl - URL da requisição
+   * @returns {string} Valor do header Cookie (vazio se nenhum cookie se aplica)
+   */
+  getCookieHeader(jar = [], requestUrl) {
+    const url = new URL(requestUrl);
+    const host = url.hostname.toLowerCase();
+    const now = Date.now();
+
+    return jar
+      .filter(cookie => !cookie.expiresAt || cookie.expiresAt > now)
+      .filter(cookie => !cookie.secure || url.protocol === 'https:')
+      .filter(cookie => this.domainMatches(host, cookie))
+      .filter(cookie => this.pathMatches(url.pathname, cookie.path))
+      // Cookies com path mais específico primeiro (RFC 6265, seção 5.4)
+      .sort((a, b) => b.path.length - a.path.length)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Verifica se o cookie se aplica ao host
+   * @param {string} host - Host da requisição
+   * @param {object} cookie - Cookie
+   * @returns {boolean} True se o domínio corresponde
+   */
+  domainMatches(host, cookie) {
+    if (cookie.hostOnly) {
+      return host === cookie.domain;
+    }
+    return host === cookie.domain || host.endsWith(`.${cookie.domain}`);
+  }
+
+  /**
+   * Verifica se o cookie se aplica ao path
+   * @param {string} requestPath - Path da requisição
+   * @param {string} cookiePath - Path do cookie
+   * @returns {boolean} True se o path corresponde
+   */
+  pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+  }
+
+  /**
+   * Path padrão de um cookie sem atributo Path (diretório da URL)
+   * @param {string} pathname - Path da requisição
+   * @returns {string} Path padrão
+   */
+  defaultPath(pathname) {
+    if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) {
+      return '/';
+    }
+    return pathname.substring(0, pathname.lastIndexOf('/'));
+  }
+
+  /**
+   * Calcula a expiração mais próxima entre os cookies
+   * @param {object[]} jar - Cookies
+   * @returns {number|null} Segundos até o primeiro cookie expirar (zero ou negativo se já expirou) ou null se todos são de sessão
+   */
+  getExpiration(jar = []) {
+    const expirations = jar.filter(cookie => cookie.expiresAt).map(cookie => cookie.expiresAt);
+
+    if (expirations.length === 0) return null;
+
+    return Math.floor((Math.min(...expirations) - Date.now()) / 1000);
+  }
+}
+
+// Instância singleton do serviço
+const cookieJarService = new CookieJarService();
+
+export default cookieJarService;
+export { CookieJarService };
@@ -0,0 +1,221 @@
+/**
+ * Serviço de Datas
+ * Resolve macros de data ($DATE, $NOW, $YESTERDAY, $MONTH_START...) com deslocamentos,
+ * formatos personalizados e fuso horário configurável
+ */
+
+const DATE_MACROS = ['DATE', 'NOW', 'YESTERDAY', 'MONTH_START', 'MONTH_END', 'PREV_MONTH_START', 'PREV_MONTH_END'];
+
+// Ex: $DATE, $DATE-7d, $NOW-2h(HH:mm), $PREV_MONTH_END(DD/MM/YYYY)
+const MACRO_REGEX = new RegExp(`\\$(${DATE_MACROS.join('|')})((?:[+-]\\d+[dwMyhms])*)(?:\\(([^)]*)\\))?(?![A-Za-z0-9_])`, 'g');
+
+class DateService {
+  constructor() {
+    this.defaultTimezone = 'UTC';
+    this.defaultDateFormat = 'YYYY-MM-DD';
+    this.defaultDateTimeFormat = 'YYYY-MM-DDTHH:mm:ssZ';
+  }
+
+  /**
+   * Define o fuso horário usado pelas macros (job > origem > ENV_TIMEZONE > UTC)
+   * @param {object} jobConfig - Configuração do job
+   * @param {object} originConfig - Configuração da origem
+   * @returns {string} Fuso horário IANA (ex: America/Sao_Paulo)
+   */
+  resolveTimezone(jobConfig = {}, originConfig = {}) {
+    return jobConfig?.timezone || originConfig?.timezone || process.env.ENV_TIMEZONE || this.defaultTimezone;
+  }
+
+  /**
+   * Substitui as macros de data de um texto
+   * @param {string} text - Texto com macros
+   * @param {string} timezone - Fuso horário
+   * @param {Date} now - Instante de referência (padrão: agora)
+   * @returns {string} Texto com as datas
+   */
+  resolveMacros(text, timezone = this.defaultTimezone, now = new Date()) {
+    return text.replace(MACRO_REGEX, (match, macro, offsets, format) => {
+      const { wall, offsetMinutes } = this.toZoned(now, timezone);
+      let date = this.getMacroBase(macro, wall);
+
+      for (const [, sign, amount, unit] of offsets.matchAll(/([+-])(\d+)([dwMyhms])/g)) {
+        date = this.addOffset(date, Number(sign + amount), unit);
+      }
+
+      const outputFormat = format || (macro === 'NOW' ? this.defaultDateTimeFormat : this.defaultDateFormat);
+      return this.format(date, outputFormat, offsetMinutes);
+    });
+  }
+
+  /**
+   * Calcula o valor base de uma macro a partir do horário local
+   * @param {string} macro - Nome da macro
+   * @param {Date} wall - Horário local representado em UTC
+   * @returns {Date} Data base
+   */
+  getMacroBase(macro, wall) {
+    const year = wall.getUTCFullYear();
+    const month = wall.getUTCMonth();
+    const day = wall.getUTCDate();
+
+    switch (macro) {
+      case 'NOW':
+        return new Date(wall.getTime());
+      case 'YESTERDAY':
+        return new Date(Date.UTC(year, month, day - 1));
+      case 'MONTH_START':
+        return new Date(Date.UTC(year, month, 1));
+      case 'MONTH_END':
+        return new Date(Date.UTC(year, month + 1, 0, 23, 59, 59, 999));
+      case 'PREV_MONTH_START':
+        return new Date(Date.UTC(year, month - 1, 1));
+      case 'PREV_MONTH_END':
+        return new Date(Date.UTC(year, month, 0, 23, 59, 59, 999));
+      case 'DATE':
+      default:
+        return new Date(Date.UTC(year, month, day));
+    }
+  }
+
+  /**
+   * Aplica um deslocamento à data (meses e anos são limitados ao último dia do mês)
+   * @param {Date} date - Data
+   * @param {number} amount - Quantidade (negativa para subtrair)
+   * @param {string} unit - Unidade: y, M, w, d, h, m ou s
+   * @returns {Date} Nova data
+   */
+  addOffset(date, amount, unit) {
+    const result = new Date(date.getTime());
+
+    switch (unit) {
+      case 'y':
+      case 'M': {
+        const months = unit === 'y' ? amount * 12 : amount;
+        const day = result.getUTCDate();
+        result.setUTCDate(1);
+        result.setUTCMonth(result.getUTCMonth() + months);
+        // Ex: 31/01 + 1M = 28/02 (ou 29/02)
+        const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+        result.setUTCDate(Math.min(day, lastDay));
+        return result;
+      }
+      case 'w':
+        result.setUTCDate(result.getUTCDate() + amount * 7);
+        return result;
+      case 'd':
+        result.setUTCDate(result.getUTCDate() + amount);
+        return result;
+      case 'h':
+        return new Date(result.getTime() + amount * 3600000);
+      case 'm':
+        return new Date(result.getTime() + amount * 60000);
+      case 's':
+        return new Date(result.getTime() + amount * 1000);
+    }
+
+    throw new Error(`Unidade de deslocamento inválida: ${unit}`);
+  }
+
+  /**
+   * Converte um instante para o horário local do fuso
+   * @param {Date} date - Instante
+   * @param {string} timezone - Fuso horário IANA
+   * @returns {{wall: Date, offsetMinutes: number}} Horário local (representado em UTC) e deslocamento do fuso
+   */
+  toZoned(date, timezone = this.defaultTimezone) {
+    let parts;
+
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }).formatToParts(date);
+    } catch (error) {
+      throw new Error(`Fuso horário inválido: ${timezone}`);
+    }
+
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    const wallTime = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'), date.getUTCMilliseconds());
+
+    return {
+      wall: new Date(wallTime),
+      offsetMinutes: Math.round((wallTime - date.getTime()) / 60000)
+    };
+  }
+
+  /**
+   * Formata uma data (tokens YYYY, YY, MM, DD, HH, mm, ss, SSS e Z)
+   * @param {Date} date - Data (horário local representado em UTC)
+   * @param {string} format - Formato de saída
+   * @param {number} offsetMinutes - Deslocamento do fuso para o token Z
+   * @returns {string} Data formatada
+   */
+  format(date, format, offsetMinutes = 0) {
+    const pad = (number, size = 2) => String(number).padStart(size, '0');
+    const absOffset = Math.abs(offsetMinutes);
+    const parts = {
+      YYYY: date.getUTCFullYear(),
+      YY: pad(date.getUTCFullYear() % 100),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds()),
+      SSS: pad(date.getUTCMilliseconds(), 3),
+      Z: `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`
+    };
+
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss|SSS|Z/g, token => parts[token]);
+  }
+
+  /**
+   * Monta as informações da data atual usadas em condições (ex: {{ now.weekday == 6 }})
+   * @param {string} timezone - Fuso horário
+   * @param {Date} now - Data de referência (padrão: agora)
+   * @returns {object} { date, time, year, month, day, hour, minute, weekday } (weekday: 0 = domingo)
+   */
+  getDateContext(timezone = this.defaultTimezone, now = new Date()) {
+    const { wall, offsetMinutes } = this.toZoned(now, timezone);
+
+    return {
+      date: this.format(wall, this.defaultDateFormat, offsetMinutes),
+      time: this.format(wall, 'HH:mm', offsetMinutes),
+      year: wall.getUTCFullYear(),
+      month: wall.getUTCMonth() + 1,
+      day: wall.getUTCDate(),
+      hour: wall.getUTCHours(),
+      minute: wall.getUTCMinutes(),
+      weekday: wall.getUTCDay()
+    };
+  }
+
+  /**
+   * Formata um valor de data no fuso informado
+   * @param {string|number|Date} value - Data, texto ISO ou timestamp em milissegundos
+   * @param {string} format - Formato de saída
+   * @param {string} timezone - Fuso horário
+   * @returns {string} Data formatada
+   */
+  formatValue(value, format = this.defaultDateFormat, timezone = this.defaultTimezone) {
+    const date = value instanceof Date ? value : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`data inválida: ${JSON.stringify(value)}`);
+    }
+
+    const { wall, offsetMinutes } = this.toZoned(date, timezone);
+    return this.format(wall, format, offsetMinutes);
+  }
+}
+
+// Instância singleton do serviço
+const dateService = new DateService();
+
+export default dateService;
+export { DateService, DATE_MACROS };
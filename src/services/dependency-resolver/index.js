@@ -1,3 +1,6 @@
+import foreachService from '../foreach/index.js';
+import conditionService from '../condition/index.js';
+
 /**
  * Serviço de Resolução de Dependências entre Jobs
  * Responsável por:
@@ -16,8 +19,8 @@ class DependencyResolver {
   /**
    * Resolve a ordem de execução dos jobs baseado em suas dependências
    * @param {Array} jobs - Lista de jobs com suas dependências
-   * @param {string} targetJobId - ID do job alvo (opcional, executa todos se não especificado)
-   * @returns {Array} - Ordem de execução dos jobs
+   * @param {string|string[]} targetJobId - ID do job alvo ou lista de jobs alvo (opcional, executa todos se não especificado)
+   * @returns {Array} - Ordem de execução dos jobs (dependências comuns aparecem uma única vez)
    */
   resolveExecutionOrder(jobs, targetJobId = null) {
     // Reset state
@@ -31,14 +34,15 @@ class DependencyResolver {
       jobMap.set(job.id, job);
     });
 
-    // Validar que todas as dependências existem
-    this.validateDependencies(jobs, jobMap);
-
     // Se targetJobId especificado, resolver apenas para ele e suas dependências
     if (targetJobId) {
       // Primeiro coleta apenas os jobs necessários
       const requiredJobs = this.getRequiredJobs(jobs, targetJobId);
 
+      // Validar que as dependências dos jobs necessários existem
+      // (jobs de outras origens não relacionados ao alvo não interrompem a execução)
+      this.validateDependencies(requiredJobs, jobMap);
+
       // Reset state para resolver apenas os jobs necessários
       this.visited.clear();
       this.visiting.clear();
@@ -51,6 +55,9 @@ class DependencyResolver {
         }
       });
     } else {
+      // Validar que todas as dependências existem
+      this.validateDependencies(jobs, jobMap);
+
       // Resolver para todos os jobs
       jobs.forEach(job => {
         if (!this.visited.has(job.id)) {
@@ -63,6 +70,33 @@ class DependencyResolver {
     return this.executionOrder;
   }
 
+  /**
+   * Agrupa a ordem de execução em níveis: os jobs de um nível dependem apenas de jobs
+   * de níveis anteriores e podem ser executados em paralelo
+   * @param {Array} jobs - Lista de jobs com suas dependências
+   * @param {string|string[]} targetJobId - ID do job alvo ou lista de jobs alvo (opcional, executa todos se não especificado)
+   * @returns {string[][]} - Níveis de execução
+   */
+  resolveExecutionLevels(jobs, targetJobId = null) {
+    const executionOrder = this.resolveExecutionOrder(jobs, targetJobId);
+    const jobMap = new Map(jobs.map(job => [job.id, job]));
+    const jobLevels = new Map();
+    const levels = [];
+
+    // A ordem topológica garante que as dependências já têm nível calculado
+    for (const jobId of executionOrder) {
+      const dependencies = this.getJobDependencies(jobMap.get(jobId));
+      const level = dependencies.length > 0
+        ? Math.max(...dependencies.map(depId => jobLevels.get(depId))) + 1
+        : 0;
+
+      jobLevels.set(jobId, level);
+      (levels[level] ||= []).push(jobId);
+    }
+
+    return levels;
+  }
+
   /**
    * Resolve dependências de um job específico usando DFS
    * @param {Map} jobMap - Mapa de jobs por ID
@@ -88,7 +122,7 @@ class DependencyResolver {
     }
 
     // Resolver dependências recursivamente
-    const dependencies = job.dependencies || [];
+    const dependencies = this.getJobDependencies(job);
     for (const depId of dependencies) {
       this.resolveJobDependencies(jobMap, depId);
     }
@@ -101,8 +135,89 @@ class DependencyResolver {
     this.executionOrder.push(jobId);
   }
 
+  /**
+   * Obtém as dependências de um job, incluindo os jobs referenciados em foreach e when
+   * @param {object} job - Configuração do job
+   * @returns {string[]} Ids das dependências
+   */
+  getJobDependencies(job) {
+    const dependencies = [...(job.dependencies || [])];
+
+    for (const sourceJob of this.getTemplateSourceJobs(job)) {
+      if (!dependencies.includes(sourceJob)) {
+        dependencies.push(sourceJob);
+      }
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Lista os jobs cujos resultados são lidos pelo foreach ou pela condição when do job
+   * @param {object} job - Configuração do job
+   * @returns {string[]} Ids de job referenciados
+   */
+  getTemplateSourceJobs(job) {
+    return [...new Set([...foreachService.getSourceJobs(job), ...conditionService.getSourceJobs(job)])];
+  }
+
+  /**
+   * Monta o grafo com os jobs de todas as configurações carregadas
+   * Cada nó é identificado por grupo/origem/job_id e guarda a origem usada na execução;
+   * dependências sem qualificação referem-se a jobs da mesma origem
+   * @param {Map} configs - Configurações por grupo (importService.configs)
+   * @returns {Map<string, object>} Nós por chave ({ id, group, origin, job, dependencies })
+   */
+  buildJobGraph(configs) {
+    const graph = new Map();
+
+    for (const [groupName, config] of configs) {
+      for (const origin of config.origins || []) {
+        for (const job of origin.job || []) {
+          const id = this.qualifyReference(job.id, groupName, origin.name);
+          const dependencies = (job.dependencies || []).map(reference => this.qualifyReference(reference, groupName, origin.name));
+
+          // foreach e when podem referenciar o resultado de uma dependência de outra origem pelo id do job
+          for (const sourceJob of this.getTemplateSourceJobs(job)) {
+            const source = dependencies.find(depId => depId.endsWith(`/${sourceJob}`)) || this.qualifyReference(sourceJob, groupName, origin.name);
+            if (!dependencies.includes(source)) {
+              dependencies.push(source);
+            }
+          }
+
+          graph.set(id, { id, group: groupName, origin, job, dependencies });
+        }
+      }
+    }
+
+    return graph;
+  }
+
+  /**
+   * Converte uma referência de job em chave grupo/origem/job_id
+   * @param {string} reference - job_id (mesma origem) ou grupo/origem/job_id
+   * @param {string} groupName - Grupo do job que faz a referência
+   * @param {string} originName - Origem do job que faz a referência
+   * @returns {string} Chave qualificada
+   */
+  qualifyReference(reference, groupName, originName) {
+    const parts = reference.split('/');
+
+    if (parts.length === 1) {
+      return `${groupName}/${originName}/${reference}`;
+    }
+
+    if (parts.length !== 3 || parts.some(part => !part)) {
+      throw new Error(`Referência de job inválida "${reference}" (use job_id ou grupo/origem/job_id)`);
+    }
+
+    return reference;
+  }
+
   /**
    * Valida se todas as dependências referenciadas existem
+   * Dependências de origens diferentes com o mesmo job_id também são rejeitadas:
+   * nos templates os resultados são acessados apenas pelo id do job ({{login.data...}})
    * @param {Array} jobs - Lista de jobs
    * @param {Map} jobMap - Mapa de jobs por ID
    */
@@ -110,11 +225,20 @@ class DependencyResolver {
     const errors = [];
 
     jobs.forEach(job => {
-      const dependencies = job.dependencies || [];
+      const dependencies = this.getJobDependencies(job);
+      const dependenciesByJobId = new Map();
+
       dependencies.forEach(depId => {
         if (!jobMap.has(depId)) {
           errors.push(`Job "${job.id}" depende de "${depId}" que não existe`);
         }
+
+        const jobId = depId.split('/').pop();
+        if (dependenciesByJobId.has(jobId)) {
+          errors.push(`Job "${job.id}" depende de "${dependenciesByJobId.get(jobId)}" e "${depId}", que têm o mesmo id: o template {{${jobId}}} seria ambíguo`);
+        } else {
+          dependenciesByJobId.set(jobId, depId);
+        }
       });
     });
 
@@ -124,9 +248,9 @@ class DependencyResolver {
   }
 
   /**
-   * Retorna apenas os jobs necessários para executar um job específico
+   * Retorna apenas os jobs necessários para executar os jobs alvo
    * @param {Array} jobs - Lista completa de jobs
-   * @param {string} targetJobId - ID do job alvo
+   * @param {string|string[]} targetJobId - ID do job alvo ou lista de jobs alvo
    * @returns {Array} - Lista filtrada de jobs necessários
    */
   getRequiredJobs(jobs, targetJobId) {
@@ -134,7 +258,7 @@ class DependencyResolver {
     jobs.forEach(job => jobMap.set(job.id, job));
 
     const required = new Set();
-    const toVisit = [targetJobId];
+    const toVisit = [].concat(targetJobId);
 
     while (toVisit.length > 0) {
       const jobId = toVisit.pop();
@@ -142,8 +266,8 @@ class DependencyResolver {
 
       required.add(jobId);
       const job = jobMap.get(jobId);
-      if (job && job.dependencies) {
-        toVisit.push(...job.dependencies);
+      if (job) {
+        toVisit.push(...this.getJobDependencies(job));
       }
     }
 
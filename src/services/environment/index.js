@@ -1,9 +1,13 @@
 // noinspection SpellCheckingInspection
 
 import { homedir } from 'os';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, chmodSync, renameSync } from 'fs';
 import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
-import { config } from 'dotenv';
-import { join } from 'path';
+import { config, parse } from 'dotenv';
+import { join, dirname } from 'path';
+import templateService from '../template/index.js';
+import dateService from '../date/index.js';
+import secretService from '../secret/index.js';
 
 /**
  * Serviço de Ambiente
@@ -14,34 +18,133 @@ import { join } from 'path';
 class EnvironmentService {
   constructor() {
     this.envCache = new Map(); // Cache de variáveis por origem
+    this.originModes = new Map(); // Modo (production/test) usado ao carregar cada origem
+    this.sources = new WeakMap(); // Objeto processado por substituteDeep -> objeto de configuração original
+    this.sessionLookup = null; // Consulta das variáveis $SESSION_* (registrada pelo SessionService)
   }
 
   /**
-   * Gera ou obtém a chave de criptografia
+   * Caminho do arquivo de chaves (ENV_ENCRYPTION_KEY_FILE ou ~/.gicli/keys.json)
+   * @returns {string} Caminho do arquivo
+   */
+  getKeyFilePath() {
+    return process.env.ENV_ENCRYPTION_KEY_FILE || join(homedir(), '.gicli', 'keys.json');
+  }
+
+  /**
+   * Lê o arquivo de chaves
+   * @returns {object|null} { current, keys: { id: { key, created_at } } } ou null se não existir
+   */
+  readKeyFile() {
+    const keyFilePath = this.getKeyFilePath();
+
+    if (!existsSync(keyFilePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(readFileSync(keyFilePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Arquivo de chaves inválido (${keyFilePath}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Grava o arquivo de chaves com permissão restrita ao usuário (0600)
+   * @param {object} keyFile - Conteúdo do arquivo de chaves
+   */
+  writeKeyFile(keyFile) {
+    const keyFilePath = this.getKeyFilePath();
+    const tmpPath = `${keyFilePath}.tmp`;
+
+    mkdirSync(dirname(keyFilePath), { recursive: true, mode: 0o700 });
+    writeFileSync(tmpPath, JSON.stringify(keyFile, null, 2) + '\n', { mode: 0o600 });
+    chmodSync(tmpPath, 0o600);
+    renameSync(tmpPath, keyFilePath);
+  }
+
+  /**
+   * Adiciona uma nova chave ao arquivo de chaves e a torna a chave atual
+   * @returns {string} Id da nova chave (k1, k2, ...)
+   */
+  addKey() {
+    const keyFile = this.readKeyFile() || { current: null, keys: {} };
+    const versions = Object.keys(keyFile.keys).map(id => parseInt(id.replace(/^k/, ''), 10)).filter(n => !Number.isNaN(n));
+    const keyId = `k${versions.length ? Math.max(...versions) + 1 : 1}`;
+
+    keyFile.keys[keyId] = {
+      key: randomBytes(32).toString('hex'),
+      created_at: new Date().toISOString()
+    };
+    keyFile.current = keyId;
+
+    this.writeKeyFile(keyFile);
+    return keyId;
+  }
+
+  /**
+   * Obtém o id da chave usada para novas criptografias
+   * @returns {string|null} Id da chave atual do arquivo de chaves ou null (ENV_ENCRYPTION_KEY)
+   */
+  getCurrentKeyId() {
+    return this.readKeyFile()?.current || null;
+  }
+
+  /**
+   * Verifica se existe alguma chave de criptografia configurada
+   * @returns {boolean} True se há arquivo de chaves ou ENV_ENCRYPTION_KEY
+   */
+  hasEncryptionKey() {
+    return Boolean(this.getCurrentKeyId() || process.env.ENV_ENCRYPTION_KEY);
+  }
+
+  /**
+   * Obtém a chave de criptografia
+   * @param {string} keyId - Id da chave no arquivo de chaves (null: ENV_ENCRYPTION_KEY, formato legado)
    * @returns {Buffer} Chave de 32 bytes para AES-256
+   * @throws {Error} Se a chave não estiver configurada
    */
-  getEncryptionKey() {
-    let key = process.env.ENV_ENCRYPTION_KEY;
-    
+  getEncryptionKey(keyId = null) {
+    if (keyId) {
+      const entry = this.readKeyFile()?.keys?.[keyId];
+      if (!entry) {
+        throw new Error(`Chave '${keyId}' não encontrada em ${this.getKeyFilePath()}`);
+      }
+      return Buffer.from(entry.key, 'hex');
+    }
+
+    const key = process.env.ENV_ENCRYPTION_KEY;
+
     if (!key) {
-      // Gera chave automática se não existir
-      key = randomBytes(32).toString('hex');
-      console.warn(`⚠️ Chave de criptografia gerada automaticamente. Adicione ao seu .env:`);
-      console.warn(`ENV_ENCRYPTION_KEY=${key}`);
-      process.env.ENV_ENCRYPTION_KEY = key;
+      throw new Error('Nenhuma chave de criptografia configurada. Execute "gicli key init" ou defina ENV_ENCRYPTION_KEY');
     }
-    
+
     // Deriva chave de 32 bytes usando scrypt
     return scryptSync(key, 'gicli-salt', 32);
   }
 
+  /**
+   * Separa o id da chave e os dados de um valor criptografado
+   * @param {string} encryptedText - ENC:<base64> (legado) ou ENC:<id>:<base64>
+   * @returns {{keyId: string|null, data: string}} Id da chave e dados em base64
+   */
+  parseEncrypted(encryptedText) {
+    const body = encryptedText.slice(4);
+    const separator = body.indexOf(':');
+
+    return separator > 0
+      ? { keyId: body.substring(0, separator), data: body.substring(separator + 1) }
+      : { keyId: null, data: body };
+  }
+
   /**
    * Criptografa um texto usando AES-256-GCM
    * @param {string} text - Texto para criptografar
-   * @returns {string} Texto criptografado no formato ENC:base64(iv+ciphertext+tag)
+   * @param {string} keyId - Id da chave (padrão: chave atual do arquivo de chaves ou ENV_ENCRYPTION_KEY)
+   * @returns {string} Texto criptografado no formato ENC:<id>:base64(iv+ciphertext+tag) ou ENC:base64(...) sem arquivo de chaves
    */
-  encrypt(text) {
-    const key = this.getEncryptionKey();
+  encrypt(text, keyId = this.getCurrentKeyId()) {
+    const key = this.getEncryptionKey(keyId);
     const iv = randomBytes(16); // IV para GCM
     const cipher = createCipheriv('aes-256-gcm', key, iv);
     
@@ -52,12 +155,12 @@ class EnvironmentService {
     
     // Combina IV + ciphertext + auth tag
     const combined = Buffer.concat([iv, Buffer.from(encrypted, 'hex'), authTag]);
-    return 'ENC:' + combined.toString('base64');
+    return 'ENC:' + (keyId ? `${keyId}:` : '') + combined.toString('base64');
   }
 
   /**
    * Descriptografa um texto criptografado
-   * @param {string} encryptedText - Texto no formato ENC:base64(...)
+   * @param {string} encryptedText - Texto no formato ENC:base64(...) ou ENC:<id>:base64(...)
    * @returns {string} Texto descriptografado
    */
   decrypt(encryptedText) {
@@ -65,9 +168,11 @@ class EnvironmentService {
       return encryptedText; // Não está criptografado
     }
     
+    const { keyId, data } = this.parseEncrypted(encryptedText);
+
     try {
-      const key = this.getEncryptionKey();
-      const combined = Buffer.from(encryptedText.slice(4), 'base64');
+      const key = this.getEncryptionKey(keyId);
+      const combined = Buffer.from(data, 'base64');
       
       const iv = combined.slice(0, 16);
       const authTag = combined.slice(-16);
@@ -81,50 +186,123 @@ class EnvironmentService {
       
       return decrypted;
     } catch (error) {
-      throw new Error(`Falha ao descriptografar: ${error.message}`);
+      throw new Error(`Falha ao descriptografar com a chave ${keyId || 'ENV_ENCRYPTION_KEY'}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtém o caminho de um arquivo de variáveis
+   * @param {string} originName - Nome da origem (omitido: arquivo global ~/.gicli/.env)
+   * @param {string} mode - Modo de execução (production, test) para o arquivo específico do modo
+   * @returns {string} Caminho do arquivo (~/.gicli/env/<origem>.env ou ~/.gicli/env/<origem>.<modo>.env)
+   */
+  getEnvFilePath(originName = null, mode = null) {
+    if (!originName) {
+      return join(homedir(), '.gicli', '.env');
+    }
+    return join(this.getEnvDir(), mode ? `${originName}.${mode}.env` : `${originName}.env`);
+  }
+
+  /**
+   * Obtém o diretório dos arquivos de variáveis por origem
+   * @returns {string} Caminho ~/.gicli/env
+   */
+  getEnvDir() {
+    return join(homedir(), '.gicli', 'env');
+  }
+
+  /**
+   * Lê as variáveis de um arquivo .env sem alterar process.env
+   * @param {string} envPath - Caminho do arquivo
+   * @returns {object} Variáveis do arquivo (vazio se não existir)
+   */
+  readEnvFile(envPath) {
+    if (!existsSync(envPath)) {
+      return {};
     }
+    return parse(readFileSync(envPath, 'utf8'));
   }
 
   /**
    * Carrega variáveis de ambiente para uma origem
-   * Agora usa o sistema centralizado ~/.gicli/.env
+   * O arquivo global ~/.gicli/.env vai para process.env; as camadas ~/.gicli/env/<origem>.env
+   * e ~/.gicli/env/<origem>.<modo>.env ficam no cache da origem e têm precedência sobre ele
    * @param {string} originName - Nome da origem
+   * @param {string} mode - Modo de execução (omitido: mantém o modo do último carregamento da origem)
    */
-  load(originName) {
+  load(originName, mode = undefined) {
     // Carrega explicitamente o .env para garantir variáveis disponíveis
-    const envPath = join(homedir(), '.gicli', '.env');
+    const envPath = this.getEnvFilePath();
     const result = config({ path: envPath, override: true, quiet: true });
     if (result.error) {
       console.warn('Aviso: .env não encontrado ou inválido:', result.error.message);
     }
-    
-    // Mantém compatibilidade com código que espera cache por origem
-    if (!this.envCache.has(originName)) {
-      this.envCache.set(originName, {});
+
+    if (!originName) return;
+
+    if (mode !== undefined) {
+      this.originModes.set(originName, mode);
+    }
+
+    const activeMode = this.originModes.get(originName) || null;
+    const layers = [this.getEnvFilePath(originName)];
+    if (activeMode) {
+      layers.push(this.getEnvFilePath(originName, activeMode));
     }
+
+    const originVars = {};
+    for (const layerPath of layers) {
+      for (const [name, value] of Object.entries(this.readEnvFile(layerPath))) {
+        // Variáveis vazias são apenas marcadores a preencher e não sobrepõem camadas anteriores
+        if (value !== '') {
+          originVars[name] = value;
+        }
+      }
+    }
+
+    this.envCache.set(originName, originVars);
   }
 
   /**
-   * Substitui placeholders $ENV_* e template variables {{job_id.data.field}} no texto
+   * Resolve um valor completo: descriptografa ENC: e resolve referências secret:<tipo>:<valor>
+   * (ex: ENV_DB_PASSWORD=secret:file:/run/secrets/db_pwd no .env)
+   * @param {string} value - Valor da configuração ou variável
+   * @returns {string} Valor resolvido
+   * @throws {Error} Se a referência de segredo não puder ser resolvida
+   */
+  resolveValue(value) {
+    // Falhas de descriptografia interrompem o job em vez de enviar o valor ENC: adiante
+    if (value.startsWith('ENC:')) {
+      try {
+        return this.decrypt(value);
+      } catch (error) {
+        throw new Error(`${error.message}. Use "gicli key verify" para localizar valores que a chave atual não descriptografa`);
+      }
+    }
+
+    if (secretService.isReference(value)) {
+      return secretService.resolve(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Substitui placeholders $ENV_* e expressões de template {{ job_id.field | filtro }} no texto
+   * ($SESSION_* e macros de data apenas em textos com templates; nos demais são resolvidos na execução da requisição)
    * @param {string} text - Texto com placeholders
    * @param {string} originName - Nome da origem (opcional)
    * @param {object} jobResults - Resultados de jobs anteriores (opcional, para templates)
-   * @returns {string} Texto com substituições
+   * @param {string} timezone - Fuso horário do job (opcional, usado pelo filtro date)
+   * @returns {any} Texto com substituições (ou o valor tipado de um template único)
    */
-  substitute(text, originName = null, jobResults = {}) {
+  substitute(text, originName = null, jobResults = null, timezone = null) {
     if (typeof text !== 'string') return text;
 
     let result = text;
 
-    // PRIMEIRO: Verifica se o resultado está criptografado e descriptografa
-    if (result.startsWith('ENC:')) {
-      try {
-        result = this.decrypt(result);
-      } catch (error) {
-        console.warn(`Erro ao descriptografar valor: ${error.message}`);
-        // Mantém o valor original se falhar a descriptografia
-      }
-    }
+    // PRIMEIRO: Descriptografa valores ENC: e resolve referências secret:
+    result = this.resolveValue(result);
 
     // DEPOIS: Substitui $ENV_* (mantém comportamento existente)
     const envRegex = /\$ENV_([A-Z_][A-Z0-9_]*)/g;
@@ -136,14 +314,14 @@ class EnvironmentService {
       if (originName) {
         const originVars = this.envCache.get(originName);
         if (originVars && originVars[fullVarName] !== undefined) {
-          return originVars[fullVarName];
+          return this.resolveValue(originVars[fullVarName]);
         }
       }
 
       // Depois tenta das variáveis de ambiente do sistema
       const systemVar = process.env[fullVarName];
       if (systemVar !== undefined) {
-        return systemVar;
+        return this.resolveValue(systemVar);
       }
 
       // Se não encontrou, deixa o placeholder
@@ -151,114 +329,211 @@ class EnvironmentService {
       return match;
     });
 
-    // FINALMENTE: Substitui template variables {{job_id.data.field}}
-    const templateRegex = /\{\{([^}]+)\}\}/g;
-    result = result.replace(templateRegex, (match, templatePath) => {
-      try {
-        const value = this.resolveTemplatePath(templatePath, jobResults);
-        return value !== undefined ? String(value) : match;
-      } catch (error) {
-        console.warn(`Erro ao resolver template ${templatePath}: ${error.message}`);
-        return match;
-      }
-    });
+    // Em textos com templates, $SESSION_* e macros de data são resolvidos antes da inserção dos dados
+    // das respostas (que são enviados como recebidos, mesmo contendo $SESSION_* ou $DATE)
+    if (jobResults && result.includes('{{')) {
+      result = dateService.resolveMacros(this.substituteSession(result), timezone || dateService.defaultTimezone);
+    }
+
+    // FINALMENTE: Avalia expressões {{ ... }} com resultados de jobs anteriores
+    // (apenas quando jobResults é informado; erros de resolução interrompem o job)
+    // Um valor composto por um único template mantém o tipo original (número, booleano, objeto, array)
+    if (jobResults) {
+      result = templateService.renderValue(result, this.getTemplateScope(jobResults), { timezone });
+    }
 
     return result;
   }
 
   /**
-   * Resolve um caminho de template como job_id.data.field
-   * @param {string} templatePath - Caminho como "job_id.data.field" ou "job_id.data[0].field"
-   * @param {object} jobResults - Resultados dos jobs
-   * @returns {any} Valor resolvido ou undefined
+   * Registra a consulta das variáveis $SESSION_*
+   * O SessionService depende deste serviço e se registra ao ser carregado
+   * @param {Function} lookup - Função (chave) => valor da sessão ou null
    */
-  resolveTemplatePath(templatePath, jobResults) {
-    const parts = templatePath.trim().split('.');
-    if (parts.length < 2) {
-      throw new Error(`Template path deve ter pelo menos job_id.data: ${templatePath}`);
-    }
-
-    const jobId = parts[0];
-    const jobResult = jobResults[jobId];
-
-    if (!jobResult || !jobResult.data) {
-      throw new Error(`Resultado do job ${jobId} não encontrado ou não possui dados`);
-    }
+  setSessionLookup(lookup) {
+    this.sessionLookup = lookup;
+  }
 
-    // Começa com os dados do job
-    let current = jobResult.data;
+  /**
+   * Substitui variáveis $SESSION_* no texto (variáveis sem valor são mantidas)
+   * @param {string} text - Texto com variáveis
+   * @returns {string} Texto com substituições
+   */
+  substituteSession(text) {
+    if (typeof text !== 'string' || !this.sessionLookup) return text;
 
-    // Navega pelos campos restantes
-    for (let i = 1; i < parts.length; i++) {
-      const part = parts[i];
+    return text.replace(/\$SESSION_([A-Z_][A-Z0-9_]*)/g, (match, sessionKey) => {
+      const value = this.sessionLookup(sessionKey);
+      if (value === null || value === undefined) {
+        return match;
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
 
-      // Trata arrays: data[0] ou data[0].field
-      const arrayMatch = part.match(/^([^[\]]+)(\[(\d+)\])?$/);
-      if (arrayMatch) {
-        const [, field, , index] = arrayMatch;
+  /**
+   * Monta o escopo dos templates: cada job_id aponta para os dados da sua resposta
+   * @param {object} jobResults - Resultados dos jobs
+   * @returns {object} Escopo para o TemplateService
+   */
+  getTemplateScope(jobResults) {
+    return Object.fromEntries(
+      Object.entries(jobResults).map(([jobId, jobResult]) => [jobId, jobResult?.data])
+    );
+  }
 
-        // Navega para o campo
-        if (current && typeof current === 'object' && field in current) {
-          current = current[field];
-        } else {
-          throw new Error(`Campo ${field} não encontrado em ${JSON.stringify(current)}`);
-        }
+  /**
+   * Substitui placeholders em objetos aninhados
+   * Erros de templates são acumulados e informados juntos ao final
+   * Objetos já processados são retornados sem alteração: valores vindos de respostas
+   * (templates, itens de foreach) não são reinterpretados como ENC:, secret: ou $ENV_
+   * @param {any} obj - Objeto a processar
+   * @param {string} originName - Nome da origem
+   * @param {object} jobResults - Resultados de jobs anteriores (opcional, para templates)
+   * @param {string} timezone - Fuso horário do job (opcional, usado pelo filtro date)
+   * @returns {any} Objeto com substituições
+   * @throws {Error} Com a lista de todos os templates que não puderam ser resolvidos
+   */
+  substituteDeep(obj, originName = null, jobResults = null, timezone = null) {
+    const errors = [];
+    const result = this.substituteDeepCollect(obj, originName, jobResults, errors, timezone);
 
-        // Se tem índice, acessa o elemento do array
-        if (index !== undefined) {
-          const arrayIndex = parseInt(index, 10);
-          if (Array.isArray(current)) {
-            if (arrayIndex >= 0 && arrayIndex < current.length) {
-              current = current[arrayIndex];
-            } else {
-              throw new Error(`Índice ${arrayIndex} fora dos limites do array`);
-            }
-          } else {
-            throw new Error(`Campo ${field} não é um array`);
-          }
-        }
-      } else {
-        // Campo simples
-        if (current && typeof current === 'object' && part in current) {
-          current = current[part];
-        } else {
-          throw new Error(`Campo ${part} não encontrado`);
-        }
-      }
+    if (errors.length > 0) {
+      throw new Error(errors.length === 1 ? errors[0] : `${errors.length} placeholders não resolvidos:\n  - ${errors.join('\n  - ')}`);
     }
 
-    return current;
+    return result;
   }
 
   /**
-   * Substitui placeholders em objetos aninhados
+   * Percorre o objeto substituindo placeholders e acumulando erros
    * @param {any} obj - Objeto a processar
    * @param {string} originName - Nome da origem
-   * @param {object} jobResults - Resultados de jobs anteriores (opcional, para templates)
+   * @param {object} jobResults - Resultados de jobs anteriores
+   * @param {string[]} errors - Acumulador de erros
+   * @param {string} timezone - Fuso horário do job
    * @returns {any} Objeto com substituições
    */
-  substituteDeep(obj, originName = null, jobResults = {}) {
+  substituteDeepCollect(obj, originName, jobResults, errors, timezone = null) {
+    if (obj && typeof obj === 'object' && this.sources.has(obj)) {
+      return obj;
+    }
+
     if (typeof obj === 'string') {
-      return this.substitute(obj, originName, jobResults);
+      try {
+        return this.substitute(obj, originName, jobResults, timezone);
+      } catch (error) {
+        errors.push(error.message);
+        return obj;
+      }
     }
 
     if (Array.isArray(obj)) {
-      return obj.map(item => this.substituteDeep(item, originName, jobResults));
+      return this.markSubstituted(obj.map(item => this.substituteDeepCollect(item, originName, jobResults, errors, timezone)), obj);
     }
 
     if (obj && typeof obj === 'object') {
       const result = {};
 
       for (const [key, value] of Object.entries(obj)) {
-        result[key] = this.substituteDeep(value, originName, jobResults);
+        result[key] = this.substituteDeepCollect(value, originName, jobResults, errors, timezone);
       }
 
-      return result;
+      return this.markSubstituted(result, obj);
     }
 
     return obj;
   }
 
+  /**
+   * Marca um objeto como já processado por substituteDeep
+   * @param {object} obj - Objeto processado
+   * @param {object} source - Objeto de configuração que originou o processado
+   * @returns {object} O próprio objeto processado
+   */
+  markSubstituted(obj, source) {
+    this.sources.set(obj, source);
+    return obj;
+  }
+
+  /**
+   * Obtém a configuração original (antes das substituições) de um objeto processado por substituteDeep
+   * @param {any} value - Valor processado
+   * @returns {any} Configuração original ou o próprio valor se ele não foi processado
+   */
+  getSource(value) {
+    return value && typeof value === 'object' && this.sources.has(value) ? this.sources.get(value) : value;
+  }
+
+  /**
+   * Define se placeholders não resolvidos devem falhar o job (job > origem > padrão do modo)
+   * @param {object} jobConfig - Configuração do job
+   * @param {object} originConfig - Configuração da origem
+   * @param {string} mode - Modo de execução
+   * @returns {boolean} True em modo estrito (padrão em produção)
+   */
+  isStrictMode(jobConfig = {}, originConfig = {}, mode = null) {
+    return jobConfig?.strict_placeholders ?? originConfig?.strict_placeholders ?? mode === 'production';
+  }
+
+  /**
+   * Localiza placeholders $ENV_*, $SESSION_* e {{ ... }} da configuração que permaneceram no valor final
+   * Apenas os textos da configuração são analisados: dados vindos de respostas (templates renderizados,
+   * cursores de paginação) podem conter chaves ou cifrões sem serem placeholders
+   * @param {any} template - Valor na configuração (antes das substituições)
+   * @param {any} value - Valor já substituído
+   * @param {string} location - Local do valor (ex: payload.password)
+   * @param {string[]} found - Acumulador
+   * @returns {string[]} Placeholders encontrados com o local
+   */
+  findUnresolvedPlaceholders(template, value, location, found = []) {
+    template = this.getSource(template);
+
+    if (typeof template === 'string') {
+      // Um template único resolvido para um valor tipado (número, objeto...) não deixa placeholders
+      if (typeof value !== 'string') return found;
+
+      for (const match of template.matchAll(/\$(?:ENV|SESSION)_[A-Z_][A-Z0-9_]*|\{\{[^}]+\}\}/g)) {
+        if (value.includes(match[0])) {
+          found.push(`${match[0]} (${location})`);
+        }
+      }
+    } else if (Array.isArray(template)) {
+      template.forEach((item, index) => this.findUnresolvedPlaceholders(item, value?.[index], `${location}[${index}]`, found));
+    } else if (template && typeof template === 'object') {
+      Object.entries(template).forEach(([key, item]) => this.findUnresolvedPlaceholders(item, value?.[key], `${location}.${key}`, found));
+    }
+
+    return found;
+  }
+
+  /**
+   * Verifica placeholders não resolvidos antes do envio da requisição
+   * @param {object} sections - Partes da requisição (ex: { url, headers, params, payload })
+   * @param {boolean} strict - Se true, falha com a lista de placeholders; senão apenas avisa
+   * @param {string} jobId - Id do job (para a mensagem)
+   * @param {object} templates - Valores de configuração de cada parte (padrão: origem do objeto processado por substituteDeep)
+   * @throws {Error} Em modo estrito, se houver placeholders não resolvidos
+   */
+  assertPlaceholdersResolved(sections, strict, jobId, templates = {}) {
+    const found = [];
+
+    for (const [location, value] of Object.entries(sections)) {
+      const template = location in templates ? templates[location] : value;
+      this.findUnresolvedPlaceholders(template, value, location, found);
+    }
+
+    if (found.length === 0) return;
+
+    const message = `Placeholders não resolvidos no job ${jobId}: ${found.join(', ')}`;
+
+    if (strict) {
+      throw new Error(message);
+    }
+
+    console.warn(`Aviso: ${message}`);
+  }
+
   /**
    * Valida se todas as variáveis necessárias estão presentes
    * @param {string[]} requiredVars - Lista de variáveis obrigatórias
@@ -318,6 +593,32 @@ class EnvironmentService {
     return process.env[varName] || null;
   }
 
+  /**
+   * Obtém as variáveis ENV_* visíveis para uma origem (origem sobrepõe o ambiente do processo)
+   * Valores ENC: e secret: são resolvidos apenas quando lidos
+   * @param {string} originName - Nome da origem (opcional)
+   * @returns {object} Variáveis por nome
+   */
+  getVariables(originName = null) {
+    const variables = {};
+    const sources = [
+      Object.entries(process.env).filter(([name]) => name.startsWith('ENV_')),
+      Object.entries((originName && this.envCache.get(originName)) || {})
+    ];
+
+    for (const entries of sources) {
+      for (const [name, value] of entries) {
+        Object.defineProperty(variables, name, {
+          get: () => this.resolveValue(value),
+          enumerable: true,
+          configurable: true
+        });
+      }
+    }
+
+    return variables;
+  }
+
   /**
    * Lista variáveis carregadas para uma origem
    * @param {string} originName - Nome da origem
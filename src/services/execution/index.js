@@ -7,6 +7,10 @@ import sessionService from '../session/index.js';
 import fileOutputService from '../file-output/index.js';
 import transportService from '../transport/index.js';
 import loggerService from '../logger/index.js';
+import paginationService from '../pagination/index.js';
+import rateLimiterService from '../rate-limiter/index.js';
+import cookieJarService from '../cookie-jar/index.js';
+import dateService from '../date/index.js';
 
 /**
  * Serviço de Execução
@@ -41,11 +45,12 @@ class ExecutionService {
       }
 
       // Carrega variáveis de ambiente
-      environmentService.load(originConfig.name);
+      environmentService.load(originConfig.name, mode);
+      rateLimiterService.validate(originConfig);
 
-      // Se for job de auth, delega para auth service
+      // Se for job de auth, delega para auth service (reaproveita token ainda válido da sessão)
       if (jobConfig.type === 'auth') {
-        const result = await authService.authenticate(originConfig, jobConfig, mode, silent);
+        const result = await authService.refreshAuthentication(originConfig, jobConfig, mode, silent);
         return {
           success: true,
           type: 'auth',
@@ -64,8 +69,17 @@ class ExecutionService {
           }
         }
 
-        // Executa a requisição
-        const result = await this.executeRequest(originConfig, jobConfig, mode, silent);
+        // Executa a requisição (percorrendo todas as páginas se houver paginação)
+        // A configuração do job acompanha as páginas: identifica os textos vindos da configuração
+        const result = this.isPaginated(jobConfig)
+          ? await paginationService.paginate(jobConfig, pageJobConfig => this.executeRequest(originConfig, pageJobConfig, mode, silent, allOrigins, jobConfig))
+          : await this.executeRequest(originConfig, jobConfig, mode, silent, allOrigins);
+
+        // Captura valores da resposta em variáveis $SESSION_* (apenas respostas de sucesso)
+        if (jobConfig.capture && result.status < 400) {
+          const captured = sessionService.capture(jobConfig.capture, result);
+          loggerService.info(`Variáveis capturadas de ${jobConfig.id}: ${captured.join(', ') || 'nenhuma'}`);
+        }
 
         // console.log('Result==================:', result);
         // console.log('Erros===================:', result.data);
@@ -87,7 +101,8 @@ class ExecutionService {
       return {
         success: false,
         jobId,
-        error: error.message
+        error: error.message,
+        status: error.status ?? null // Status HTTP da falha (disponível nos hooks como {{error.http_status}})
       };
     } finally {
       this.runningJobs.delete(jobId);
@@ -100,11 +115,16 @@ class ExecutionService {
    * @param {object} jobConfig - Configuração do job
    * @param {string} mode - Modo de execução
    * @param {boolean} silent - Modo silencioso
+   * @param {Array} allOrigins - Todas as origens (para localizar o job de auth)
+   * @param {object} baseJobConfig - Configuração do job antes da paginação (textos da configuração e verificação de placeholders)
    * @returns {Promise<object>} Resultado da requisição
    */
-  async executeRequest(originConfig, jobConfig, mode = 'production', silent = false) {
+  async executeRequest(originConfig, jobConfig, mode = 'production', silent = false, allOrigins = null, baseJobConfig = jobConfig) {
     let authRetryAttempted = false;
 
+    // Status que indicam token rejeitado (algumas APIs respondem 403 para token expirado)
+    const refreshStatuses = jobConfig.refresh_auth_on_status || originConfig.refresh_auth_on_status || [401];
+
     // Base URL para o job
     const baseUrl = jobConfig.base_url || originConfig.base_url;
 
@@ -113,39 +133,92 @@ class ExecutionService {
       // Constrói a URL
       const url = this.buildUrl(baseUrl, jobConfig.path, jobConfig.params);
 
-      // Prepara headers
+      // Prepara headers e parâmetros
       const headers = { ...jobConfig.headers };
-
-      // Adiciona token de autenticação se disponível
-      if (jobConfig.session_name) {
-        const token = authService.getToken(originConfig.name);
-        if (token) {
-          // Determina o tipo de auth baseado na configuração
-          const authType = jobConfig.auth?.type || 'Bearer';
-          headers['Authorization'] = `${authType} ${token}`;
+      const params = { ...jobConfig.params };
+
+      let payload = jobConfig.payload;
+
+      // Esquema declarativo (basic, api_key, bearer, none) ou token de sessão
+      const authScheme = authService.resolveAuthScheme(originConfig, jobConfig);
+      let cookieJar = null;
+      let cookieSessionName = null;
+      let tokenPlacement = null;
+      let processedAuth = null;
+      const timezone = dateService.resolveTimezone(jobConfig, originConfig);
+
+      if (authScheme) {
+        // Credenciais do esquema vêm da configuração da origem: variáveis são resolvidas antes de aplicadas
+        processedAuth = authService.applyAuthScheme(authScheme, headers, params, originConfig.name, auth => this.substituteVariables(auth, originConfig.name, timezone, auth));
+      } else if (jobConfig.session_name) {
+        // O token pode ter sido obtido por um job de auth de outra origem
+        const authResult = this.findAuthJob(originConfig, jobConfig.session_name, allOrigins);
+        const token = authResult
+          ? authService.getSessionToken(authResult.origin, authResult.job)
+          : authService.getToken(originConfig.name);
+
+        if (Array.isArray(token)) {
+          // Sessão por cookies: o header Cookie é montado a partir da URL final
+          cookieJar = token;
+          cookieSessionName = authResult ? authService.getSessionName(authResult.origin, authResult.job) : authService.getActiveSessionName(originConfig.name);
+          loggerService.info(`Cookie jar encontrado para ${originConfig.name}: ${token.length} cookies`);
+        } else if (token) {
+          tokenPlacement = authService.resolveTokenPlacement(jobConfig, authResult?.job, originConfig);
+          payload = authService.applyToken(token, tokenPlacement, { headers, params, payload });
           loggerService.info(`Token encontrado para ${originConfig.name}: ${token.substring(0, 50)}...`);
         } else {
           loggerService.warn(`Token não encontrado para ${originConfig.name}, session: ${jobConfig.session_name}`);
         }
       }
 
-      // Substitui variáveis de ambiente e sessão
-      const processedHeaders = this.substituteVariables(headers, originConfig.name);
-      const processedPayload = this.substituteVariables(jobConfig.payload, originConfig.name);
-      const processedParams = this.substituteVariables(jobConfig.params, originConfig.name);
+      // Substitui variáveis de sessão e macros de data nos textos da configuração (dados de respostas são enviados como recebidos)
+      const source = environmentService.getSource(baseJobConfig);
+      const processedHeaders = this.substituteVariables(headers, originConfig.name, timezone, baseJobConfig.headers, source.headers);
+      const processedPayload = this.substituteVariables(payload, originConfig.name, timezone, baseJobConfig.payload, source.payload);
+      const processedParams = this.substituteVariables(params, originConfig.name, timezone, baseJobConfig.params, source.params);
+      const processedPath = this.substituteVariables(jobConfig.path, originConfig.name, timezone, baseJobConfig.path, source.path);
+
+      // Em modo estrito (padrão em produção) a requisição não é enviada com placeholders literais
+      // (verificados nos textos da configuração; credenciais do esquema de auth entram pela seção auth)
+      environmentService.assertPlaceholdersResolved(
+        { path: processedPath, headers: processedHeaders, params: processedParams, payload: processedPayload, auth: processedAuth },
+        environmentService.isStrictMode(jobConfig, originConfig, mode),
+        jobConfig.id,
+        { path: source.path, headers: source.headers, params: source.params, payload: source.payload }
+      );
 
       // Reconstrói URL com params processados
-      const finalUrl = this.buildUrl(baseUrl, jobConfig.path, processedParams);
-      loggerService.info(`URL final: ${finalUrl}`);
-      loggerService.info(`Headers:`, JSON.stringify(processedHeaders, null, 2));
+      const finalUrl = this.buildUrl(baseUrl, processedPath, processedParams);
+
+      if (cookieJar) {
+        const cookieHeader = cookieJarService.getCookieHeader(cookieJar, finalUrl);
+        if (cookieHeader) {
+          processedHeaders['Cookie'] = processedHeaders['Cookie'] ? `${processedHeaders['Cookie']}; ${cookieHeader}` : cookieHeader;
+        }
+      }
+
+      const masked = authService.maskCredentials(authScheme, processedHeaders, finalUrl, tokenPlacement);
+      loggerService.info(`URL final: ${masked.url}`);
+      loggerService.info(`Headers:`, JSON.stringify(masked.headers, null, 2));
 
       // Configurações de retry e timeout
-      const retryPolicy = jobConfig.retry_policy || {};
       const httpOptions = {
         headers: processedHeaders,
         timeout: jobConfig.timeout || 30000,
-        retries: retryPolicy.max_attempts || 3,
-        retryDelay: retryPolicy.delay || 1000
+        ...this.buildRetryOptions(jobConfig.retry_policy),
+        beforeAttempt: async () => {
+          await rateLimiterService.acquire(originConfig);
+
+          // Assinatura HMAC sobre a requisição final, renovada a cada tentativa (timestamp e nonce atuais)
+          if (authScheme?.type === 'hmac') {
+            authService.signRequest(authScheme, {
+              method: jobConfig.method,
+              url: finalUrl,
+              headers: processedHeaders,
+              body: httpOptions.body
+            }, originConfig.name);
+          }
+        }
       };
 
       // Adiciona body se houver
@@ -163,6 +236,11 @@ class ExecutionService {
       // Faz a requisição
       const response = await httpClientService.request(jobConfig.method, finalUrl, httpOptions);
 
+      // Mantém o cookie jar atualizado com cookies renovados pelo servidor
+      if (cookieJar) {
+        authService.updateCookieSession(cookieSessionName, response.setCookies, response.url || finalUrl);
+      }
+
       return { response, finalUrl };
     };
 
@@ -172,15 +250,17 @@ class ExecutionService {
       let response = requestResult.response;
       let finalUrl = requestResult.finalUrl;
 
-      // Se recebeu 401 e ainda não tentou renovar auth, tenta novamente
-      if (response.status === 401 && jobConfig.session_name && !authRetryAttempted) {
-        loggerService.info(`Recebido 401 para job ${jobConfig.id}, tentando renovar autenticação...`);
+      // Se recebeu 401 (ou outro status configurado) e ainda não tentou renovar auth, tenta novamente
+      if (refreshStatuses.includes(response.status) && jobConfig.session_name && !authRetryAttempted) {
+        loggerService.info(`Recebido ${response.status} para job ${jobConfig.id}, tentando renovar autenticação...`);
         authRetryAttempted = true;
 
         try {
           // Renova autenticação
           const authResult = this.findAuthJob(originConfig, jobConfig.session_name, allOrigins);
           if (authResult) {
+            // Descarta o token rejeitado (pode ter vindo de uma execução anterior)
+            authService.invalidateToken(authResult.origin, authResult.job);
             await authService.refreshAuthentication(authResult.origin, authResult.job, mode, silent);
           }
           loggerService.info(`Autenticação renovada para ${originConfig.name}, tentando requisição novamente...`);
@@ -228,15 +308,17 @@ class ExecutionService {
       };
 
     } catch (error) {
-      // Se é erro 401 e ainda não tentou renovar auth, tenta uma vez
-      if (error.message.includes('HTTP 401') && jobConfig.session_name && !authRetryAttempted) {
-        loggerService.info(`Erro 401 na primeira tentativa para job ${jobConfig.id}, tentando renovar autenticação...`);
+      // Se é erro 401 (ou outro status configurado) e ainda não tentou renovar auth, tenta uma vez
+      if (refreshStatuses.includes(error.status) && jobConfig.session_name && !authRetryAttempted) {
+        loggerService.info(`Erro ${error.status} na primeira tentativa para job ${jobConfig.id}, tentando renovar autenticação...`);
         authRetryAttempted = true;
 
         try {
           // Renova autenticação
           const authResult = this.findAuthJob(originConfig, jobConfig.session_name, allOrigins);
           if (authResult) {
+            // Descarta o token rejeitado (pode ter vindo de uma execução anterior)
+            authService.invalidateToken(authResult.origin, authResult.job);
             await authService.refreshAuthentication(authResult.origin, authResult.job, mode, silent);
           }
           loggerService.info(`Autenticação renovada para ${originConfig.name}, tentando requisição novamente...`);
@@ -283,6 +365,37 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Converte o retry_policy do job nas opções do HTTP client
+   * @param {object} retryPolicy - Política de retry do job
+   * @returns {object} Opções de retry para httpClientService.request
+   */
+  buildRetryOptions(retryPolicy = {}) {
+    const options = {
+      retries: retryPolicy.max_attempts || 3,
+      retryDelay: retryPolicy.delay || 1000
+    };
+
+    if (retryPolicy.backoff) options.backoff = retryPolicy.backoff;
+    if (retryPolicy.multiplier) options.backoffMultiplier = retryPolicy.multiplier;
+    if (retryPolicy.max_delay !== undefined) options.maxDelay = retryPolicy.max_delay;
+    if (retryPolicy.jitter !== undefined) options.jitter = retryPolicy.jitter;
+    if (retryPolicy.retry_on_status) options.retryOnStatus = retryPolicy.retry_on_status;
+    if (retryPolicy.retry_on_errors) options.retryOnErrors = retryPolicy.retry_on_errors;
+    if (retryPolicy.respect_retry_after !== undefined) options.respectRetryAfter = retryPolicy.respect_retry_after;
+
+    return options;
+  }
+
+  /**
+   * Verifica se o job possui paginação habilitada
+   * @param {object} jobConfig - Configuração do job
+   * @returns {boolean} True se o job é paginado
+   */
+  isPaginated(jobConfig) {
+    return Boolean(jobConfig.pagination) && jobConfig.pagination.enabled !== false;
+  }
+
   /**
    * Constrói URL completa
    * @param {string} baseUrl - URL base
@@ -310,39 +423,43 @@ class ExecutionService {
   }
 
   /**
-   * Substitui variáveis $ENV_*, $SESSION_* e $DATE
+   * Substitui variáveis $SESSION_* e macros de data
+   * $ENV_*, ENC: e secret: já foram resolvidos na configuração do job (environmentService.substituteDeep);
+   * não são reprocessados aqui para que valores vindos de respostas (templates, cursores de paginação)
+   * nunca sejam interpretados como segredos.
+   * $SESSION_* e macros de data só são resolvidos em textos da configuração: valores iguais aos da configuração
+   * do job cujo original não tem templates. Templates renderizados, itens de foreach, cursores, URLs de paginação
+   * e tokens são enviados como recebidos (textos com templates são resolvidos antes da renderização)
    * @param {any} data - Dados a processar
    * @param {string} originName - Nome da origem
+   * @param {string} timezone - Fuso horário das macros de data (padrão: UTC)
+   * @param {any} config - Valor correspondente na configuração do job (sem ele, nada é tratado como configuração)
+   * @param {any} template - Valor correspondente antes das substituições (padrão: origem de config)
    * @returns {any} Dados processados
    */
-  substituteVariables(data, originName) {
+  substituteVariables(data, originName, timezone = dateService.defaultTimezone, config = null, template = environmentService.getSource(config)) {
     if (typeof data === 'string') {
-      // Substitui $ENV_*
-      data = environmentService.substitute(data, originName);
-
-      // Substitui $SESSION_*
-      data = data.replace(/\$SESSION_([A-Z_][A-Z0-9_]*)/g, (match, sessionKey) => {
-        const value = sessionService.get(sessionKey);
-        return value || match;
-      });
-
-      // Substitui $DATE pela data corrente no formato YYYY-MM-DD
-      data = data.replace(/\$DATE/g, () => {
-        const now = new Date();
-        return now.toISOString().split('T')[0];
-      });
-
-      return data;
+      if (data !== config || typeof template !== 'string' || template.includes('{{')) {
+        return data;
+      }
+
+      data = environmentService.substituteSession(data);
+
+      // Substitui macros de data ($DATE, $NOW, $DATE-7d, $PREV_MONTH_END(DD/MM/YYYY)...) no fuso configurado
+      return dateService.resolveMacros(data, timezone);
     }
 
+    // Configuração e original são percorridos junto com os dados (chaves ausentes não vêm da configuração)
+    const childOf = (value, key) => (value && typeof value === 'object' ? value[key] : undefined);
+
     if (Array.isArray(data)) {
-      return data.map(item => this.substituteVariables(item, originName));
+      return data.map((item, index) => this.substituteVariables(item, originName, timezone, childOf(config, index), childOf(template, index)));
     }
 
     if (data && typeof data === 'object') {
       const result = {};
       for (const [key, value] of Object.entries(data)) {
-        result[key] = this.substituteVariables(value, originName);
+        result[key] = this.substituteVariables(value, originName, timezone, childOf(config, key), childOf(template, key));
       }
       return result;
     }
@@ -0,0 +1,176 @@
+import loggerService from '../logger/index.js';
+
+/**
+ * Serviço de Políticas de Falha
+ * Aplica on_error (fail, continue, retry), fallback e os hooks on_failure/on_success
+ * em torno da execução de um job
+ */
+
+const ERROR_ACTIONS = ['fail', 'continue', 'retry'];
+
+class FailurePolicyService {
+  /**
+   * Normaliza a política on_error de um job
+   * @param {object} jobConfig - Configuração do job
+   * @returns {object} { action, attempts, delay }
+   */
+  getPolicy(jobConfig) {
+    const onError = typeof jobConfig.on_error === 'string' ? { action: jobConfig.on_error } : { ...jobConfig.on_error };
+    const action = onError.action || 'fail';
+
+    if (!ERROR_ACTIONS.includes(action)) {
+      throw new Error(`on_error inválido no job ${jobConfig.id}: ${action} (use ${ERROR_ACTIONS.join(', ')})`);
+    }
+
+    return {
+      action,
+      attempts: onError.attempts ?? 1,
+      delay: onError.delay ?? 0
+    };
+  }
+
+  /**
+   * Lista as referências de jobs de um campo (fallback, on_failure, on_success)
+   * @param {object} jobConfig - Configuração do job
+   * @param {string} field - Nome do campo
+   * @returns {string[]} Referências (job_id ou grupo/origem/job_id)
+   */
+  getReferences(jobConfig, field) {
+    const value = jobConfig[field];
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Monta o contexto dos hooks, disponível nos templates como {{job.*}} e {{error.*}}
+   * @param {object} node - Nó do job (DependencyResolver.buildJobGraph)
+   * @param {Error|null} error - Erro do job (apenas em on_failure)
+   * @returns {object} Resultados adicionais para os templates do hook
+   */
+  buildHookContext(node, error = null) {
+    const timestamp = new Date().toISOString();
+    const context = {
+      job: {
+        data: {
+          id: node.job.id,
+          key: node.id,
+          origin: node.origin.name,
+          group: node.group,
+          status: error ? 'failure' : 'success',
+          timestamp
+        }
+      }
+    };
+
+    if (error) {
+      context.error = {
+        data: {
+          message: error.message,
+          job: node.job.id,
+          origin: node.origin.name,
+          http_status: error.status ?? null,
+          timestamp
+        }
+      };
+    }
+
+    return context;
+  }
+
+  /**
+   * Executa um job aplicando suas políticas de falha
+   * @param {object} node - Nó do job
+   * @param {object} executor - Funções de execução:
+   *   runJob(jobKey, extraResults) executa um job,
+   *   runChain(jobKey, { rerun, extraResults }) executa o job após suas dependências,
+   *   resolve(reference, node) converte referências em chaves,
+   *   adoptResult(fromKey, toKey) usa o resultado de um job como resultado de outro
+   * @returns {Promise<any>} Resultado do job; { failed, continued, error } com on_error: continue
+   * @throws {Error} Se o job falhar com on_error: fail e sem fallback bem-sucedido
+   */
+  async execute(node, executor) {
+    const jobConfig = node.job;
+    const policy = this.getPolicy(jobConfig);
+    let outcome;
+    let failure = null;
+
+    try {
+      outcome = await executor.runJob(node.id);
+    } catch (error) {
+      failure = error;
+    }
+
+    // retry: reexecuta a cadeia de dependências (ex: login e consultas) e o próprio job
+    for (let attempt = 1; failure && policy.action === 'retry' && attempt <= policy.attempts; attempt++) {
+      loggerService.warn(`Job ${jobConfig.id} falhou (${failure.message}); reexecutando a cadeia (${attempt}/${policy.attempts})`);
+      if (policy.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, policy.delay));
+      }
+
+      try {
+        outcome = await executor.runChain(node.id, { rerun: true });
+        failure = null;
+      } catch (error) {
+        failure = error;
+      }
+    }
+
+    if (!failure) {
+      if (!outcome?.skipped) {
+        await this.runHooks(node, 'on_success', null, executor);
+      }
+      return outcome;
+    }
+
+    await this.runHooks(node, 'on_failure', failure, executor);
+
+    // fallback: executado no lugar do job; o resultado fica disponível com o id do job original
+    const [fallback] = this.getReferences(jobConfig, 'fallback');
+    if (fallback) {
+      const fallbackKey = executor.resolve(fallback, node);
+      loggerService.warn(`Job ${jobConfig.id} falhou (${failure.message}); executando fallback ${fallback}`);
+
+      try {
+        await executor.runChain(fallbackKey, { rerun: false });
+        executor.adoptResult(fallbackKey, node.id);
+        return { recovered: true, fallback };
+      } catch (error) {
+        failure = new Error(`${failure.message}; fallback ${fallback} também falhou: ${error.message}`);
+      }
+    }
+
+    if (policy.action === 'continue') {
+      loggerService.warn(`Job ${jobConfig.id} falhou e a execução continua (on_error: continue): ${failure.message}`);
+      return { failed: true, continued: true, error: failure };
+    }
+
+    throw failure;
+  }
+
+  /**
+   * Executa os hooks de um job (falhas dos hooks são apenas registradas)
+   * @param {object} node - Nó do job
+   * @param {string} field - on_success ou on_failure
+   * @param {Error|null} error - Erro do job
+   * @param {object} executor - Funções de execução
+   */
+  async runHooks(node, field, error, executor) {
+    for (const reference of this.getReferences(node.job, field)) {
+      try {
+        await executor.runChain(executor.resolve(reference, node), {
+          rerun: false,
+          extraResults: this.buildHookContext(node, error)
+        });
+      } catch (hookError) {
+        loggerService.warn(`Hook ${field} ${reference} do job ${node.job.id} falhou: ${hookError.message}`);
+        console.warn(`Aviso: hook ${field} '${reference}' do job '${node.job.id}' falhou: ${hookError.message}`);
+      }
+    }
+  }
+}
+
+// Instância singleton do serviço
+const failurePolicyService = new FailurePolicyService();
+
+export default failurePolicyService;
+export { FailurePolicyService };
@@ -0,0 +1,134 @@
+import environmentService from '../environment/index.js';
+import templateService from '../template/index.js';
+import paginationService from '../pagination/index.js';
+import loggerService from '../logger/index.js';
+
+/**
+ * Serviço de Fan-out (foreach)
+ * Executa um job uma vez para cada elemento de um array obtido do resultado de uma dependência,
+ * com o elemento disponível nos templates como {{item.*}}, e concatena os resultados
+ */
+
+class ForeachService {
+  /**
+   * Normaliza a configuração foreach
+   * @param {object} jobConfig - Configuração do job
+   * @returns {object} { items, as, continue_on_error }
+   */
+  normalizeConfig(jobConfig) {
+    const foreach = typeof jobConfig.foreach === 'string' ? { items: jobConfig.foreach } : { ...jobConfig.foreach };
+
+    if (!foreach.items) {
+      throw new Error(`foreach do job ${jobConfig.id} requer 'items' (ex: "{{cargos.data.items}}")`);
+    }
+
+    return {
+      items: foreach.items,
+      as: foreach.as || 'item',
+      continue_on_error: foreach.continue_on_error !== false
+    };
+  }
+
+  /**
+   * Obtém a expressão de template de items (sem as chaves)
+   * @param {string} items - Valor configurado (ex: "{{cargos.data.items}}")
+   * @returns {string} Expressão
+   */
+  getExpression(items) {
+    const match = items.match(/^\s*\{\{([^}]+)\}\}\s*$/);
+
+    if (!match) {
+      throw new Error(`foreach deve referenciar um único template, ex: "{{cargos.data.items}}" (recebido: ${items})`);
+    }
+
+    return match[1];
+  }
+
+  /**
+   * Lista os jobs dos quais o foreach depende (usado pelo DependencyResolver)
+   * @param {object} jobConfig - Configuração do job
+   * @returns {string[]} Ids de job referenciados
+   */
+  getSourceJobs(jobConfig) {
+    if (!jobConfig.foreach) return [];
+
+    const config = this.normalizeConfig(jobConfig);
+    return templateService.getReferencedRoots(this.getExpression(config.items));
+  }
+
+  /**
+   * Executa o job para cada elemento
+   * @param {object} jobConfig - Configuração do job (ainda não substituída)
+   * @param {string} originName - Nome da origem
+   * @param {object} jobResults - Resultados de jobs anteriores
+   * @param {Function} executeItem - Função (itemJobConfig, item, index) => Promise<resposta>
+   * @param {string} timezone - Fuso horário do job (usado pelo filtro date)
+   * @returns {Promise<object>} Resposta com os registros de todos os elementos concatenados
+   */
+  async run(jobConfig, originName, jobResults, executeItem, timezone = null) {
+    const config = this.normalizeConfig(jobConfig);
+    const items = templateService.evaluate(this.getExpression(config.items), environmentService.getTemplateScope(jobResults), { timezone });
+
+    if (!Array.isArray(items)) {
+      throw new Error(`foreach do job ${jobConfig.id} espera um array, recebeu ${typeof items}`);
+    }
+
+    const { foreach, ...baseJobConfig } = jobConfig;
+    const dataPath = jobConfig.output?.data_path || '';
+    const records = [];
+    const failures = [];
+    let firstResponse = null;
+    let lastResponse = null;
+
+    loggerService.info(`Foreach de ${jobConfig.id}: ${items.length} elementos`);
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const itemId = item?.id ?? index + 1;
+
+      try {
+        // O elemento fica disponível como {{item.*}} (ou o nome definido em "as")
+        const itemJobConfig = environmentService.substituteDeep(baseJobConfig, originName, {
+          ...jobResults,
+          [config.as]: { data: item }
+        }, timezone);
+
+        const response = await executeItem(itemJobConfig, item, index);
+
+        if (!firstResponse) firstResponse = response;
+        lastResponse = response;
+        records.push(...paginationService.extractRecords(response.data, dataPath));
+      } catch (error) {
+        if (!config.continue_on_error) {
+          const failure = new Error(`Falha no foreach de ${jobConfig.id} (elemento ${itemId}): ${error.message}`);
+          failure.status = error.status ?? null; // Status HTTP do elemento que falhou
+          throw failure;
+        }
+        failures.push({ item: itemId, error: error.message });
+        loggerService.warn(`Falha no elemento ${itemId} do foreach de ${jobConfig.id}: ${error.message}`);
+      }
+    }
+
+    if (items.length > 0 && !firstResponse) {
+      throw new Error(`Falha no foreach de ${jobConfig.id}: nenhum dos ${items.length} elementos foi processado com sucesso`);
+    }
+
+    return {
+      ...(lastResponse || { status: 200, headers: {} }),
+      timestamp: lastResponse?.timestamp || new Date().toISOString(),
+      // Mantém o envelope da primeira resposta, substituindo os registros pelo conjunto completo
+      data: paginationService.mergeRecords(firstResponse?.data, dataPath, records),
+      foreach: {
+        items: items.length,
+        succeeded: items.length - failures.length,
+        failed: failures
+      }
+    };
+  }
+}
+
+// Instância singleton do serviço
+const foreachService = new ForeachService();
+
+export default foreachService;
+export { ForeachService };
@@ -1,3 +1,5 @@
+import secretService from '../secret/index.js';
+
 /**
  * Serviço de Cliente HTTP
  * Abstração para requisições HTTP com suporte a retry e timeout
@@ -8,7 +10,61 @@ class HttpClientService {
     this.defaultTimeout = 30000; // 30 segundos
     this.defaultRetries = 3;
     this.defaultRetryDelay = 1000; // 1 segundo
+    this.defaultBackoff = 'fixed'; // fixed, linear ou exponential
+    this.defaultBackoffMultiplier = 2;
+    this.defaultMaxDelay = 60000; // 1 minuto
+    this.defaultRetryOnStatus = [408, 429, 500, 502, 503, 504];
     this.silent = false; // Propriedade pública para modo silencioso
+    this.sensitiveNames = new Set(['authorization']); // Headers e parâmetros de query mascarados nos logs
+  }
+
+  /**
+   * Registra o nome de um header ou parâmetro de query com credenciais (ex: header de api_key customizado)
+   * @param {string} name - Nome do header ou parâmetro
+   */
+  registerSensitiveName(name) {
+    this.sensitiveNames.add(name.toLowerCase());
+  }
+
+  /**
+   * Mascara credenciais de uma URL para log (parâmetros registrados e segredos resolvidos)
+   * @param {string} url - URL da requisição
+   * @returns {string} URL mascarada
+   */
+  maskUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const names = [...parsed.searchParams.keys()].filter(name => this.sensitiveNames.has(name.toLowerCase()));
+
+      if (names.length > 0) {
+        names.forEach(name => parsed.searchParams.set(name, '***'));
+        url = parsed.toString();
+      }
+    } catch {
+      // URL relativa ou inválida: apenas os segredos resolvidos são mascarados
+    }
+
+    return secretService.mask(url);
+  }
+
+  /**
+   * Mascara credenciais dos headers para log
+   * @param {object} headers - Headers da requisição
+   * @returns {object} Headers mascarados
+   */
+  maskHeaders(headers) {
+    const masked = {};
+
+    for (const [name, value] of Object.entries(headers)) {
+      if (name.toLowerCase() === 'authorization') {
+        // Mantém o esquema (Bearer, Basic...) para diagnóstico
+        masked[name] = `${String(value).split(' ')[0]} ***`;
+      } else {
+        masked[name] = this.sensitiveNames.has(name.toLowerCase()) ? '***' : value;
+      }
+    }
+
+    return masked;
   }
 
   /**
@@ -33,6 +89,14 @@ class HttpClientService {
       timeout = this.defaultTimeout,
       retries = this.defaultRetries,
       retryDelay = this.defaultRetryDelay,
+      backoff = this.defaultBackoff,
+      backoffMultiplier = this.defaultBackoffMultiplier,
+      maxDelay = this.defaultMaxDelay,
+      jitter = false,
+      retryOnStatus = this.defaultRetryOnStatus,
+      retryOnErrors = null,
+      respectRetryAfter = true,
+      beforeAttempt = null,
       ...fetchOptions
     } = options;
 
@@ -40,6 +104,17 @@ class HttpClientService {
 
     for (let attempt = 1; attempt <= retries + 1; attempt++) {
       try {
+        // Hook executado antes de cada tentativa (ex: limitação de taxa da origem)
+        // Falhas do hook são de configuração e não são repetidas
+        if (beforeAttempt) {
+          try {
+            await beforeAttempt(attempt);
+          } catch (error) {
+            error.retryable = false;
+            throw error;
+          }
+        }
+
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -66,15 +141,10 @@ class HttpClientService {
         }
 
         if (!this.silent) {
-          console.log(`[HTTP-CLIENT] Fazendo ${method.toUpperCase()} para: ${url}`);
-          
-          // Mascarar token de autorização nos headers para log
-          let logHeaders = { ...headers };
-          if (logHeaders['Authorization'] && logHeaders['Authorization'].startsWith('Bearer ')) {
-            logHeaders['Authorization'] = 'Bearer ***';
-          }
-          
-          console.log(`[HTTP-CLIENT] Headers:`, JSON.stringify(logHeaders, null, 2));
+          console.log(`[HTTP-CLIENT] Fazendo ${method.toUpperCase()} para: ${this.maskUrl(url)}`);
+
+          // Mascarar credenciais nos headers para log
+          console.log(`[HTTP-CLIENT] Headers:`, secretService.mask(JSON.stringify(this.maskHeaders(headers), null, 2)));
           console.log(`[HTTP-CLIENT] Timeout: ${timeout}ms, Tentativa: ${attempt}/${retries + 1}`);
         }
 
@@ -92,6 +162,7 @@ class HttpClientService {
             status: response.status,
             statusText: response.statusText,
             headers: Object.fromEntries(response.headers.entries()),
+            setCookies: this.getSetCookies(response.headers),
             data: responseData,
             url: response.url
           };
@@ -102,6 +173,7 @@ class HttpClientService {
           status: response.status,
           statusText: response.statusText,
           headers: Object.fromEntries(response.headers.entries()),
+          setCookies: this.getSetCookies(response.headers),
           data: responseData,
           url: response.url
         };
@@ -114,25 +186,138 @@ class HttpClientService {
           console.log(`[HTTP-CLIENT] Tipo do erro:`, error.constructor.name);
         }
 
-        // Não tenta retry para erros de cliente (4xx) ou se é a última tentativa
-        if (attempt > retries ||
-            (error.message.includes('HTTP 4') && !error.message.includes('408'))) {
+        // Não tenta retry se é a última tentativa ou se o erro não é recuperável
+        if (attempt > retries || !this.isRetryable(error, retryOnStatus, retryOnErrors)) {
           break;
         }
 
+        const waitTime = this.getRetryDelay(attempt, error, {
+          retryDelay,
+          backoff,
+          backoffMultiplier,
+          maxDelay,
+          jitter,
+          respectRetryAfter
+        });
+
         if (!this.silent) {
-          console.warn(`Tentativa ${attempt} falhou, tentando novamente em ${retryDelay}ms:`, error.message);
+          console.warn(`Tentativa ${attempt} falhou, tentando novamente em ${waitTime}ms:`, error.message);
         }
 
-        if (attempt <= retries) {
-          await this.delay(retryDelay);
-        }
+        await this.delay(waitTime);
       }
     }
 
     throw lastError;
   }
 
+  /**
+   * Verifica se um erro permite nova tentativa
+   * @param {Error} error - Erro ocorrido
+   * @param {number[]} retryOnStatus - Status HTTP que permitem retry
+   * @param {string[]|null} retryOnErrors - Códigos de erro de rede que permitem retry (null = todos)
+   * @returns {boolean} True se deve tentar novamente
+   */
+  isRetryable(error, retryOnStatus, retryOnErrors) {
+    if (error.retryable === false) {
+      return false;
+    }
+
+    // Erros HTTP: apenas os status configurados
+    if (error.status) {
+      return retryOnStatus.includes(error.status);
+    }
+
+    // Erros de rede: todos, a menos que uma lista de códigos tenha sido definida
+    if (!retryOnErrors) {
+      return true;
+    }
+
+    return retryOnErrors.includes(this.getErrorCode(error));
+  }
+
+  /**
+   * Obtém o código de um erro de rede (ex: ECONNRESET, ETIMEDOUT)
+   * @param {Error} error - Erro ocorrido
+   * @returns {string|undefined} Código do erro
+   */
+  getErrorCode(error) {
+    if (error.name === 'AbortError') {
+      return 'ETIMEDOUT';
+    }
+    return error.cause?.code || error.code;
+  }
+
+  /**
+   * Calcula o tempo de espera antes da próxima tentativa
+   * @param {number} attempt - Número da tentativa que falhou (1 = primeira)
+   * @param {Error} error - Erro ocorrido
+   * @param {object} policy - Política de retry
+   * @returns {number} Tempo de espera em milissegundos
+   */
+  getRetryDelay(attempt, error, policy) {
+    const { retryDelay, backoff, backoffMultiplier, maxDelay, jitter, respectRetryAfter } = policy;
+
+    // Retry-After informado pelo servidor tem prioridade sobre o backoff calculado (limitado por maxDelay)
+    if (respectRetryAfter) {
+      const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        return maxDelay ? Math.min(retryAfter, maxDelay) : retryAfter;
+      }
+    }
+
+    let waitTime;
+    switch (backoff) {
+      case 'linear':
+        waitTime = retryDelay * attempt;
+        break;
+      case 'exponential':
+        waitTime = retryDelay * Math.pow(backoffMultiplier, attempt - 1);
+        break;
+      case 'fixed':
+      default:
+        waitTime = retryDelay;
+    }
+
+    if (maxDelay) {
+      waitTime = Math.min(waitTime, maxDelay);
+    }
+
+    // Full jitter: valor aleatório entre 0 e o tempo calculado
+    // Jitter numérico: variação de até ±N% sobre o tempo calculado
+    if (jitter === true || jitter === 'full') {
+      waitTime = Math.random() * waitTime;
+    } else if (typeof jitter === 'number' && jitter > 0) {
+      const variation = waitTime * (jitter / 100);
+      waitTime = waitTime - variation + (Math.random() * variation * 2);
+    }
+
+    return Math.max(0, Math.round(waitTime));
+  }
+
+  /**
+   * Interpreta o header Retry-After (segundos ou data HTTP)
+   * @param {string} value - Valor do header
+   * @returns {number|null} Tempo de espera em milissegundos ou null se ausente/inválido
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
   /**
    * Faz requisição GET
    * @param {string} url - URL
@@ -195,6 +380,21 @@ class HttpClientService {
     return response.arrayBuffer();
   }
 
+  /**
+   * Obtém os headers Set-Cookie individualmente (Object.fromEntries mantém apenas um)
+   * @param {Headers} headers - Headers da resposta do fetch
+   * @returns {string[]} Valores de Set-Cookie
+   */
+  getSetCookies(headers) {
+    if (typeof headers.getSetCookie === 'function') {
+      return headers.getSetCookie();
+    }
+
+    // Versões antigas do Node unem os headers com vírgula; separa sem quebrar datas de Expires
+    const combined = headers.get('set-cookie');
+    return combined ? combined.split(/,(?=\s*[^;,=\s]+=)/).map(cookie => cookie.trim()) : [];
+  }
+
   /**
    * Delay helper
    * @param {number} ms - Milissegundos
@@ -212,6 +412,10 @@ class HttpClientService {
     if (config.timeout) this.defaultTimeout = config.timeout;
     if (config.retries !== undefined) this.defaultRetries = config.retries;
     if (config.retryDelay) this.defaultRetryDelay = config.retryDelay;
+    if (config.backoff) this.defaultBackoff = config.backoff;
+    if (config.backoffMultiplier) this.defaultBackoffMultiplier = config.backoffMultiplier;
+    if (config.maxDelay !== undefined) this.defaultMaxDelay = config.maxDelay;
+    if (config.retryOnStatus) this.defaultRetryOnStatus = config.retryOnStatus;
   }
 }
 
@@ -1,8 +1,9 @@
 import { readdirSync, readFileSync, existsSync, mkdirSync, copyFileSync, writeFileSync } from 'fs';
-import { join, isAbsolute } from 'path';
+import { join, isAbsolute, dirname } from 'path';
 import { execSync } from 'child_process';
 import { homedir } from 'os';
 import validatorService from '../validator/index.js';
+import environmentService from '../environment/index.js';
 import dotenv from 'dotenv';
 
 /**
@@ -422,13 +423,16 @@ class ImportService {
 
   /**
    * Cria o arquivo .env no diretório .gicli se não existir
+   * @param {string} originName - Nome da origem (omitido: arquivo global ~/.gicli/.env)
+   * @returns {string} Caminho do arquivo
    */
-  createEnvFile() {
-    const gicliDir = this.createGicliDirectory();
-    const envPath = join(gicliDir, '.env');
-    
+  createEnvFile(originName = null) {
+    this.createGicliDirectory();
+    const envPath = environmentService.getEnvFilePath(originName);
+
     if (!existsSync(envPath)) {
-      writeFileSync(envPath, '# Variáveis de ambiente do GICLI\n');
+      mkdirSync(dirname(envPath), { recursive: true });
+      writeFileSync(envPath, originName ? `# Variáveis de ambiente do GICLI - origem ${originName}\n` : '# Variáveis de ambiente do GICLI\n');
       console.log(`Arquivo .env criado: ${envPath}`);
     }
     
@@ -456,26 +460,25 @@ class ImportService {
 
   /**
    * Adiciona variáveis de ambiente ao arquivo .env sem sobrescrever existentes
+   * Com origem, as variáveis vão para ~/.gicli/env/<origem>.env, exceto as já definidas no .env global
    * @param {Array} newVariables - Array de variáveis para adicionar
    * @param {string} groupName - Nome do grupo para comentário no .env
+   * @param {string} originName - Nome da origem (omitido: arquivo global)
+   * @returns {Array} Variáveis adicionadas
    */
-  addToEnvFile(newVariables, groupName = 'Geral') {
-    const envPath = this.createEnvFile();
+  addToEnvFile(newVariables, groupName = 'Geral', originName = null) {
+    const envPath = this.createEnvFile(originName);
     const envContent = readFileSync(envPath, 'utf8');
-    const existingVars = new Set();
-    
-    // Extrair variáveis existentes do arquivo .env
-    const lines = envContent.split('\n');
-    lines.forEach(line => {
-      const match = line.match(/^([A-Z_][A-Z0-9_]*)=/);
-      if (match) {
-        existingVars.add(match[1]);
-      }
-    });
+
+    // Variáveis existentes na camada de destino e, para origens, também no .env global
+    const existingVars = new Set(Object.keys(environmentService.readEnvFile(envPath)));
+    if (originName) {
+      Object.keys(environmentService.readEnvFile(environmentService.getEnvFilePath())).forEach(varName => existingVars.add(varName));
+    }
     
     // Adicionar novas variáveis que não existem e não foram processadas antes
     const varsToAdd = newVariables.filter(varName => 
-      !existingVars.has(varName) && !this.processedVariables.has(varName)
+      !existingVars.has(varName) && !this.processedVariables.has(`${originName || ''}:${varName}`)
     );
     
     if (varsToAdd.length > 0) {
@@ -483,10 +486,10 @@ class ImportService {
                         `\n# Variáveis do grupo ${groupName}\n` + 
                         varsToAdd.map(varName => `${varName}=`).join('\n') + '\n';
       writeFileSync(envPath, newContent);
-      console.log(`Variáveis adicionadas ao .env (${groupName}): ${varsToAdd.join(', ')}`);
+      console.log(`Variáveis adicionadas ao ${envPath} (${groupName}): ${varsToAdd.join(', ')}`);
       
       // Marcar como processadas
-      varsToAdd.forEach(varName => this.processedVariables.add(varName));
+      varsToAdd.forEach(varName => this.processedVariables.add(`${originName || ''}:${varName}`));
     }
     
     return varsToAdd;
@@ -495,8 +498,9 @@ class ImportService {
   /**
    * Informa ao usuário sobre variáveis que precisam ser preenchidas
    * @param {Array} variables - Array de variáveis que precisam de valor
+   * @param {string} envPath - Arquivo onde as variáveis foram adicionadas
    */
-  notifyUserToFillVariables(variables) {
+  notifyUserToFillVariables(variables, envPath = environmentService.getEnvFilePath()) {
     // Filtrar apenas variáveis que não existem no process.env
     const varsNeedingValue = variables.filter(varName => !process.env[varName]);
     
@@ -506,7 +510,7 @@ class ImportService {
       varsNeedingValue.forEach(varName => {
         console.log(`  - ${varName}`);
       });
-      console.log(`\nEdite o arquivo .env em: ${join(homedir(), '.gicli', '.env')}`);
+      console.log(`\nEdite o arquivo .env em: ${envPath}`);
       console.log('Adicione os valores correspondentes às variáveis acima.\n');
     }
   }
@@ -524,11 +528,27 @@ class ImportService {
       }
       
       const jsonContent = JSON.parse(readFileSync(jsonFilePath, 'utf8'));
-      const envVariables = this.extractEnvVariables(jsonContent);
-      const addedVariables = this.addToEnvFile(envVariables, groupName);
-      
-      if (addedVariables.length > 0) {
-        this.notifyUserToFillVariables(addedVariables);
+
+      // Sem origens, mantém o comportamento anterior (arquivo global)
+      if (!Array.isArray(jsonContent.origins) || jsonContent.origins.length === 0) {
+        const envVariables = this.extractEnvVariables(jsonContent);
+        const addedVariables = this.addToEnvFile(envVariables, groupName);
+        if (addedVariables.length > 0) {
+          this.notifyUserToFillVariables(addedVariables);
+        }
+        return addedVariables;
+      }
+
+      // Cada origem recebe suas variáveis na própria camada (~/.gicli/env/<origem>.env)
+      const addedVariables = [];
+      for (const origin of jsonContent.origins) {
+        const envVariables = this.extractEnvVariables(origin);
+        const added = this.addToEnvFile(envVariables, groupName, origin.name);
+
+        if (added.length > 0) {
+          this.notifyUserToFillVariables(added, environmentService.getEnvFilePath(origin.name));
+          addedVariables.push(...added);
+        }
       }
       
       return addedVariables;
@@ -2,6 +2,8 @@ import { writeFileSync, appendFileSync, existsSync, mkdirSync, statSync, readFil
 import { join, basename, dirname } from 'path';
 import { format } from 'util';
 import { homedir } from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
+import secretService from '../secret/index.js';
 
 /**
  * Serviço de Logger
@@ -30,6 +32,7 @@ class LoggerService {
     this.maxLogSize = 10 * 1024 * 1024; // 10MB por arquivo
     this.maxLogFiles = 5; // Máximo de arquivos de log
     this.currentJobId = null; // Contexto do job atual
+    this.jobContext = new AsyncLocalStorage(); // Contexto por job quando executados em paralelo
 
     // Define diretório de logs com prioridades
     this.logDir = this.determineLogDirectory();
@@ -112,14 +115,37 @@ class LoggerService {
    * @param {string} jobId - ID do job atual
    */
   setJobContext(jobId) {
-    this.currentJobId = jobId;
+    const context = this.jobContext.getStore();
+    if (context) {
+      context.jobId = jobId;
+    } else {
+      this.currentJobId = jobId;
+    }
   }
 
   /**
    * Limpa o contexto do job atual
    */
   clearJobContext() {
-    this.currentJobId = null;
+    this.setJobContext(null);
+  }
+
+  /**
+   * Obtém o job do contexto atual
+   * @returns {string|null} ID do job
+   */
+  getJobContext() {
+    const context = this.jobContext.getStore();
+    return context ? context.jobId : this.currentJobId;
+  }
+
+  /**
+   * Executa uma função com contexto de job isolado (usado na execução paralela de jobs)
+   * @param {Function} fn - Função assíncrona
+   * @returns {Promise<any>} Resultado da função
+   */
+  runWithJobContext(fn) {
+    return this.jobContext.run({ jobId: null }, fn);
   }
 
   /**
@@ -136,6 +162,13 @@ class LoggerService {
 
     const timestamp = new Date().toISOString();
     const levelName = LOG_LEVEL_NAMES[levelNum];
+
+    // Segredos resolvidos (secret:file/env/cmd) nunca são registrados
+    message = secretService.mask(message);
+    if (data) {
+      data = secretService.maskDeep(data);
+    }
+
     const logEntry = {
       timestamp,
       level: levelName,
@@ -272,9 +305,10 @@ class LoggerService {
    * @returns {string} Caminho do arquivo
    */
   getCurrentLogFile() {
-    if (this.currentJobId) {
+    const jobId = this.getJobContext();
+    if (jobId) {
       // Log específico do job
-      return join(this.jobsLogDir, `${this.currentJobId}.log`);
+      return join(this.jobsLogDir, `${jobId}.log`);
     } else {
       // Log do sistema
       return join(this.logDir, 'app.log');
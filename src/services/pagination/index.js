@@ -0,0 +1,327 @@
+import loggerService from '../logger/index.js';
+
+/**
+ * Serviço de Paginação
+ * Percorre respostas paginadas (página, offset/limit, cursor e header Link)
+ * e concatena os registros de todas as páginas em um único resultado
+ */
+
+const PAGINATION_TYPES = ['page', 'offset', 'cursor', 'link_header'];
+
+class PaginationService {
+  constructor() {
+    this.defaultMaxPages = 1000; // Proteção contra loops infinitos
+  }
+
+  /**
+   * Percorre todas as páginas de uma requisição
+   * @param {object} jobConfig - Configuração do job (com bloco pagination)
+   * @param {Function} fetchPage - Função (pageJobConfig) => Promise<resposta> que executa uma página
+   * @returns {Promise<object>} Resposta da última página com os registros concatenados em data_path
+   */
+  async paginate(jobConfig, fetchPage) {
+    const config = this.normalizeConfig(jobConfig);
+    const records = [];
+    let firstResponse = null;
+    let lastResponse = null;
+    let pageJobConfig = this.buildFirstPage(jobConfig, config);
+    let pagesFetched = 0;
+
+    while (pageJobConfig) {
+      const response = await fetchPage(pageJobConfig);
+      pagesFetched++;
+
+      if (!firstResponse) firstResponse = response;
+      lastResponse = response;
+
+      // Respostas de erro (ex: 400) encerram a paginação e são devolvidas como estão
+      if (response.status >= 400) {
+        loggerService.warn(`Paginação interrompida na página ${pagesFetched}: status ${response.status}`);
+        return response;
+      }
+
+      const pageRecords = this.extractRecords(response.data, config.data_path);
+      records.push(...pageRecords);
+
+      loggerService.info(`Página ${pagesFetched} de ${jobConfig.id}: ${pageRecords.length} registros (total: ${records.length})`);
+
+      if (pagesFetched >= config.max_pages) {
+        loggerService.warn(`Limite de ${config.max_pages} páginas atingido para job ${jobConfig.id}`);
+        break;
+      }
+
+      pageJobConfig = this.buildNextPage(pageJobConfig, response, pageRecords, config, pagesFetched);
+
+      if (pageJobConfig && config.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, config.delay));
+      }
+    }
+
+    // Mantém o envelope da primeira página, substituindo os registros pelo conjunto completo
+    const data = this.mergeRecords(firstResponse.data, config.data_path, records);
+
+    return {
+      ...lastResponse,
+      url: firstResponse.url,
+      data,
+      pagination: {
+        type: config.type,
+        pages: pagesFetched,
+        records: records.length
+      }
+    };
+  }
+
+  /**
+   * Aplica valores padrão e valida a configuração de paginação
+   * @param {object} jobConfig - Configuração do job
+   * @returns {object} Configuração normalizada
+   */
+  normalizeConfig(jobConfig) {
+    const pagination = jobConfig.pagination || {};
+    const type = pagination.type || 'page';
+
+    if (!PAGINATION_TYPES.includes(type)) {
+      throw new Error(`Tipo de paginação não suportado: ${type}. Tipos disponíveis: ${PAGINATION_TYPES.join(', ')}`);
+    }
+
+    if (type === 'cursor' && !pagination.cursor_path) {
+      throw new Error(`Paginação por cursor requer 'cursor_path' no job ${jobConfig.id}`);
+    }
+
+    return {
+      type,
+      data_path: pagination.data_path ?? jobConfig.output?.data_path ?? '',
+      page_param: pagination.page_param || 'page',
+      start_page: pagination.start_page ?? 1,
+      size_param: pagination.size_param || null,
+      page_size: pagination.page_size || null,
+      offset_param: pagination.offset_param || 'offset',
+      limit_param: pagination.limit_param || 'limit',
+      start_offset: pagination.start_offset ?? 0,
+      cursor_param: pagination.cursor_param || 'cursor',
+      cursor_path: pagination.cursor_path || null,
+      total_pages_path: pagination.total_pages_path || null,
+      has_next_path: pagination.has_next_path || null,
+      stop_on_empty: pagination.stop_on_empty !== false,
+      stop_on_short_page: pagination.stop_on_short_page !== false,
+      max_pages: pagination.max_pages || this.defaultMaxPages,
+      delay: pagination.delay || 0
+    };
+  }
+
+  /**
+   * Monta a configuração da primeira página
+   * @param {object} jobConfig - Configuração do job
+   * @param {object} config - Configuração de paginação normalizada
+   * @returns {object} Configuração do job para a primeira página
+   */
+  buildFirstPage(jobConfig, config) {
+    const params = { ...jobConfig.params };
+
+    switch (config.type) {
+      case 'page':
+        params[config.page_param] = config.start_page;
+        if (config.size_param && config.page_size) {
+          params[config.size_param] = config.page_size;
+        }
+        break;
+      case 'offset':
+        params[config.offset_param] = config.start_offset;
+        if (config.page_size) {
+          params[config.limit_param] = config.page_size;
+        }
+        break;
+      case 'cursor':
+      case 'link_header':
+        if (config.size_param && config.page_size) {
+          params[config.size_param] = config.page_size;
+        }
+        break;
+    }
+
+    return { ...jobConfig, params };
+  }
+
+  /**
+   * Monta a configuração da próxima página ou retorna null se não houver mais páginas
+   * @param {object} pageJobConfig - Configuração usada na página atual
+   * @param {object} response - Resposta da página atual
+   * @param {Array} pageRecords - Registros da página atual
+   * @param {object} config - Configuração de paginação normalizada
+   * @param {number} pagesFetched - Quantidade de páginas já obtidas
+   * @returns {object|null} Configuração da próxima página
+   */
+  buildNextPage(pageJobConfig, response, pageRecords, config, pagesFetched) {
+    if (this.shouldStop(response, pageRecords, config, pagesFetched)) {
+      return null;
+    }
+
+    const params = { ...pageJobConfig.params };
+
+    switch (config.type) {
+      case 'page':
+        params[config.page_param] = Number(params[config.page_param]) + 1;
+        return { ...pageJobConfig, params };
+
+      case 'offset':
+        params[config.offset_param] = Number(params[config.offset_param]) + (config.page_size || pageRecords.length);
+        return { ...pageJobConfig, params };
+
+      case 'cursor': {
+        const cursor = this.getValue(response.data, config.cursor_path);
+        if (cursor === undefined || cursor === null || cursor === '') {
+          return null;
+        }
+        params[config.cursor_param] = cursor;
+        return { ...pageJobConfig, params };
+      }
+
+      case 'link_header': {
+        const nextUrl = this.parseLinkHeader(response.headers?.link)['next'];
+        if (!nextUrl) {
+          return null;
+        }
+        // A URL do header Link já traz todos os parâmetros da próxima página
+        const url = new URL(nextUrl, response.url);
+        return {
+          ...pageJobConfig,
+          base_url: url.origin,
+          path: url.pathname,
+          params: Object.fromEntries(url.searchParams.entries())
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Avalia as condições de parada comuns a todos os tipos
+   * @param {object} response - Resposta da página atual
+   * @param {Array} pageRecords - Registros da página atual
+   * @param {object} config - Configuração de paginação normalizada
+   * @param {number} pagesFetched - Quantidade de páginas já obtidas
+   * @returns {boolean} True se não há mais páginas
+   */
+  shouldStop(response, pageRecords, config, pagesFetched) {
+    if (config.stop_on_empty && pageRecords.length === 0) {
+      return true;
+    }
+
+    if (config.has_next_path) {
+      const hasNext = this.getValue(response.data, config.has_next_path);
+      if (hasNext !== undefined) {
+        return hasNext === false || hasNext === 'false';
+      }
+    }
+
+    if (config.total_pages_path) {
+      const totalPages = Number(this.getValue(response.data, config.total_pages_path));
+      if (!Number.isNaN(totalPages)) {
+        return pagesFetched >= totalPages;
+      }
+    }
+
+    if (config.stop_on_short_page && config.page_size && (config.type === 'page' || config.type === 'offset')) {
+      return pageRecords.length < config.page_size;
+    }
+
+    return false;
+  }
+
+  /**
+   * Extrai os registros de uma página
+   * @param {any} data - Dados da resposta
+   * @param {string} dataPath - Caminho dos registros (vazio = resposta completa)
+   * @returns {Array} Registros da página
+   */
+  extractRecords(data, dataPath) {
+    const value = dataPath ? this.getValue(data, dataPath) : data;
+
+    if (value === undefined || value === null) {
+      return [];
+    }
+
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Substitui os registros no envelope da resposta
+   * @param {any} data - Dados da primeira página
+   * @param {string} dataPath - Caminho dos registros
+   * @param {Array} records - Registros de todas as páginas
+   * @returns {any} Dados com os registros concatenados
+   */
+  mergeRecords(data, dataPath, records) {
+    if (!dataPath || !data || typeof data !== 'object') {
+      return records;
+    }
+
+    const merged = JSON.parse(JSON.stringify(data)); // Dados JSON da resposta (structuredClone requer Node 17+)
+    const parts = dataPath.split('.');
+    let current = merged;
+
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (!current[parts[i]] || typeof current[parts[i]] !== 'object') {
+        current[parts[i]] = {};
+      }
+      current = current[parts[i]];
+    }
+
+    current[parts[parts.length - 1]] = records;
+    return merged;
+  }
+
+  /**
+   * Obtém valor por caminho com pontos (ex: "meta.next_cursor")
+   * @param {any} obj - Objeto de origem
+   * @param {string} path - Caminho
+   * @returns {any} Valor ou undefined
+   */
+  getValue(obj, path) {
+    let current = obj;
+
+    for (const part of path.split('.')) {
+      if (current && typeof current === 'object' && part in current) {
+        current = current[part];
+      } else {
+        return undefined;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Interpreta um header Link (RFC 5988)
+   * @param {string} header - Valor do header Link
+   * @returns {object} Mapa rel -> URL
+   */
+  parseLinkHeader(header) {
+    const links = {};
+
+    if (!header) return links;
+
+    // Separa apenas antes de um novo "<": URLs podem conter vírgulas (ex: ?fields=id,nome)
+    for (const part of header.split(/,\s*(?=<)/)) {
+      const match = part.match(/<([^>]+)>\s*;(.*)/);
+      if (!match) continue;
+
+      const relMatch = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+      if (relMatch) {
+        for (const rel of relMatch[1].trim().split(/\s+/)) {
+          links[rel.toLowerCase()] = match[1].trim();
+        }
+      }
+    }
+
+    return links;
+  }
+}
+
+// Instância singleton do serviço
+const paginationService = new PaginationService();
+
+export default paginationService;
+export { PaginationService };
@@ -0,0 +1,141 @@
+import loggerService from '../logger/index.js';
+
+/**
+ * Serviço de Limitação de Taxa
+ * Controla a quantidade de requisições por origem usando token bucket,
+ * compartilhado por todos os jobs da origem (inclusive autenticação)
+ */
+
+class RateLimiterService {
+  constructor() {
+    this.buckets = new Map(); // origin -> {capacity, tokens, ratePerMs, lastRefill, queue}
+  }
+
+  /**
+   * Aguarda até que uma requisição possa ser feita para a origem
+   * @param {object} originConfig - Configuração da origem (com rate_limit opcional)
+   * @returns {Promise<number>} Tempo aguardado em milissegundos
+   */
+  async acquire(originConfig) {
+    const bucket = this.getBucket(originConfig);
+
+    if (!bucket) return 0;
+
+    // Encadeia as solicitações para que chamadas concorrentes respeitem a ordem de chegada
+    const waited = bucket.queue.then(() => this.takeToken(bucket, originConfig.name));
+    bucket.queue = waited.catch(() => {});
+    return waited;
+  }
+
+  /**
+   * Valida o rate_limit da origem antes das requisições
+   * (chamado fora do laço de tentativas: configuração inválida não é tratada como falha recuperável)
+   * @param {object} originConfig - Configuração da origem
+   * @throws {Error} Se o rate_limit não definir a taxa de requisições
+   */
+  validate(originConfig) {
+    this.getBucket(originConfig);
+  }
+
+  /**
+   * Obtém (ou cria) o bucket de uma origem
+   * @param {object} originConfig - Configuração da origem
+   * @returns {object|null} Bucket ou null se a origem não tem rate_limit
+   */
+  getBucket(originConfig) {
+    const rateLimit = originConfig?.rate_limit;
+
+    if (!rateLimit) return null;
+
+    if (this.buckets.has(originConfig.name)) {
+      return this.buckets.get(originConfig.name);
+    }
+
+    const ratePerSecond = this.getRatePerSecond(rateLimit);
+
+    if (!ratePerSecond) {
+      throw new Error(`rate_limit da origem ${originConfig.name} deve definir requests_per_second ou requests_per_minute`);
+    }
+
+    const capacity = rateLimit.burst || Math.max(1, Math.floor(ratePerSecond));
+    const bucket = {
+      capacity,
+      tokens: capacity,
+      ratePerMs: ratePerSecond / 1000,
+      lastRefill: Date.now(),
+      queue: Promise.resolve()
+    };
+
+    this.buckets.set(originConfig.name, bucket);
+    return bucket;
+  }
+
+  /**
+   * Converte a configuração em requisições por segundo
+   * @param {object} rateLimit - Configuração rate_limit
+   * @returns {number} Requisições por segundo (0 se não configurado)
+   */
+  getRatePerSecond(rateLimit) {
+    if (rateLimit.requests_per_second) {
+      return rateLimit.requests_per_second;
+    }
+
+    if (rateLimit.requests_per_minute) {
+      return rateLimit.requests_per_minute / 60;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Consome um token do bucket, aguardando a reposição se necessário
+   * @param {object} bucket - Bucket da origem
+   * @param {string} originName - Nome da origem (para log)
+   * @returns {Promise<number>} Tempo aguardado em milissegundos
+   */
+  async takeToken(bucket, originName) {
+    this.refill(bucket);
+
+    let waited = 0;
+
+    if (bucket.tokens < 1) {
+      waited = Math.ceil((1 - bucket.tokens) / bucket.ratePerMs);
+      loggerService.debug(`Rate limit de ${originName}: aguardando ${waited}ms`);
+      await new Promise(resolve => setTimeout(resolve, waited));
+      this.refill(bucket);
+    }
+
+    bucket.tokens -= 1;
+    return waited;
+  }
+
+  /**
+   * Repõe tokens proporcionalmente ao tempo decorrido
+   * @param {object} bucket - Bucket da origem
+   */
+  refill(bucket) {
+    const now = Date.now();
+    const elapsed = now - bucket.lastRefill;
+
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (elapsed * bucket.ratePerMs));
+    bucket.lastRefill = now;
+  }
+
+  /**
+   * Remove o bucket de uma origem (ou de todas)
+   * @param {string} originName - Nome da origem (opcional)
+   */
+  reset(originName = null) {
+    if (originName) {
+      this.buckets.delete(originName);
+    } else {
+      this.buckets.clear();
+    }
+  }
+}
+
+// Instância singleton do serviço
+const rateLimiterService = new RateLimiterService();
+
+export default rateLimiterService;
+export { RateLimiterService };
@@ -0,0 +1,97 @@
+import loggerService from '../logger/index.js';
+
+/**
+ * Serviço de Agendamento de Jobs
+ * Executa os jobs resolvidos pelo DependencyResolver assim que suas dependências terminam,
+ * com no máximo N jobs simultâneos, e não inicia dependentes de jobs que falharam
+ */
+
+class SchedulerService {
+  /**
+   * Executa os jobs respeitando dependências e limite de concorrência
+   * @param {string[][]} levels - Níveis de execução (DependencyResolver.resolveExecutionLevels)
+   * @param {Map<string, string[]>} dependencies - Dependências de cada job
+   * @param {Function} runJob - Função (jobId) => Promise; rejeita quando o job falha e resolve
+   * { skipped: true, reason, skipDependents } quando o job não é executado (condição when)
+   * ou { failed: true, continued: true, error } quando a falha não interrompe os dependentes (on_error: continue)
+   * @param {object} options - Opções ({ concurrency })
+   * @returns {Promise<object>} Resumo { completed, failed: [{ jobId, error, continued }], skipped: [{ jobId, reason }] }
+   */
+  async run(levels, dependencies, runJob, options = {}) {
+    const concurrency = options.concurrency || 1;
+    const pending = levels.flat();
+    const running = new Map(); // jobId -> Promise
+    const completed = [];
+    const failed = [];
+    const skipped = [];
+    const status = new Map(); // jobId -> 'completed' | 'failed' | 'skipped'
+
+    while (pending.length > 0 || running.size > 0) {
+      for (let index = 0; index < pending.length; index++) {
+        const jobId = pending[index];
+        const jobDependencies = dependencies.get(jobId) || [];
+        const blockedBy = jobDependencies.find(depId => status.get(depId) === 'failed' || status.get(depId) === 'skipped');
+
+        if (blockedBy) {
+          // Dependentes de um job que falhou não são executados
+          const reason = `dependência '${blockedBy}' ${status.get(blockedBy) === 'failed' ? 'falhou' : 'não foi executada'}`;
+          status.set(jobId, 'skipped');
+          skipped.push({ jobId, reason });
+          loggerService.warn(`Job ${jobId} não executado: ${reason}`);
+          pending.splice(index, 1);
+          index = -1; // Reavalia a fila: outros jobs podem depender deste
+          continue;
+        }
+
+        if (running.size >= concurrency) break;
+
+        if (jobDependencies.every(depId => status.get(depId) === 'completed')) {
+          pending.splice(index--, 1);
+          running.set(jobId, this.start(jobId, runJob));
+        }
+      }
+
+      if (running.size === 0) break;
+
+      // Aguarda o próximo job terminar para liberar espaço e desbloquear dependentes
+      const { jobId, error, outcome } = await Promise.race(running.values());
+      running.delete(jobId);
+
+      if (error) {
+        status.set(jobId, 'failed');
+        failed.push({ jobId, error });
+      } else if (outcome?.continued) {
+        // Falha tolerada: os dependentes são executados normalmente
+        status.set(jobId, 'completed');
+        failed.push({ jobId, error: outcome.error, continued: true });
+      } else if (outcome?.skipped) {
+        // Dependentes de um job ignorado só são executados se a política permitir
+        status.set(jobId, outcome.skipDependents === false ? 'completed' : 'skipped');
+        skipped.push({ jobId, reason: outcome.reason });
+      } else {
+        status.set(jobId, 'completed');
+        completed.push(jobId);
+      }
+    }
+
+    return { completed, failed, skipped };
+  }
+
+  /**
+   * Inicia um job com contexto de log próprio (jobs simultâneos não misturam seus arquivos de log)
+   * @param {string} jobId - ID do job
+   * @param {Function} runJob - Função de execução
+   * @returns {Promise<object>} { jobId, error, outcome } (nunca rejeita)
+   */
+  start(jobId, runJob) {
+    return loggerService.runWithJobContext(() => runJob(jobId))
+      .then(outcome => ({ jobId, error: null, outcome }))
+      .catch(error => ({ jobId, error }));
+  }
+}
+
+// Instância singleton do serviço
+const schedulerService = new SchedulerService();
+
+export default schedulerService;
+export { SchedulerService };
@@ -0,0 +1,179 @@
+import { readFileSync } from 'fs';
+import { execSync } from 'child_process';
+
+/**
+ * Serviço de Segredos
+ * Resolve referências secret:<tipo>:<valor> (file, env, cmd) no momento do uso
+ * e guarda os valores resolvidos apenas em memória para mascará-los nos logs
+ */
+
+const SECRET_PREFIX = 'secret:';
+
+class SecretService {
+  constructor() {
+    this.cache = new Map(); // referência -> valor resolvido
+    this.cmdTimeout = 30000; // Tempo máximo para comandos secret:cmd
+    this.resolvers = {
+      file: (path) => this.readFile(path),
+      env: (name) => this.readEnv(name),
+      cmd: (command) => this.runCommand(command)
+    };
+  }
+
+  /**
+   * Verifica se o valor é uma referência de segredo
+   * @param {any} value - Valor da configuração
+   * @returns {boolean} True se começa com secret:
+   */
+  isReference(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+  }
+
+  /**
+   * Registra um resolvedor adicional (ex: secret:vault:caminho)
+   * @param {string} type - Tipo usado na referência
+   * @param {Function} resolver - Função (valor) => string
+   */
+  register(type, resolver) {
+    this.resolvers[type] = resolver;
+  }
+
+  /**
+   * Resolve uma referência de segredo (o resultado é reaproveitado durante a execução)
+   * @param {string} reference - Referência no formato secret:<tipo>:<valor>
+   * @returns {string} Valor do segredo
+   * @throws {Error} Se o tipo for desconhecido ou o segredo não puder ser obtido (sem expor o valor)
+   */
+  resolve(reference) {
+    if (this.cache.has(reference)) {
+      return this.cache.get(reference);
+    }
+
+    const body = reference.slice(SECRET_PREFIX.length);
+    const separator = body.indexOf(':');
+    const type = separator > 0 ? body.substring(0, separator) : body;
+    const target = separator > 0 ? body.substring(separator + 1) : '';
+    const resolver = this.resolvers[type];
+
+    if (!resolver) {
+      throw new Error(`Tipo de segredo desconhecido '${type}'. Tipos disponíveis: ${Object.keys(this.resolvers).join(', ')}`);
+    }
+
+    if (!target) {
+      throw new Error(`Referência de segredo incompleta: ${SECRET_PREFIX}${type}:<valor>`);
+    }
+
+    const value = resolver(target);
+    this.cache.set(reference, value);
+    return value;
+  }
+
+  /**
+   * Lê um segredo de arquivo (ex: Docker/Kubernetes secrets em /run/secrets)
+   * @param {string} path - Caminho do arquivo
+   * @returns {string} Conteúdo sem a quebra de linha final
+   */
+  readFile(path) {
+    try {
+      return readFileSync(path, 'utf-8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`Falha ao ler segredo do arquivo ${path}: ${error.code || error.message}`);
+    }
+  }
+
+  /**
+   * Lê um segredo de variável de ambiente do processo
+   * @param {string} name - Nome da variável
+   * @returns {string} Valor da variável
+   */
+  readEnv(name) {
+    const value = process.env[name];
+
+    if (value === undefined) {
+      throw new Error(`Variável de ambiente do segredo não encontrada: ${name}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Obtém um segredo da saída de um comando local (ex: gerenciador de senhas)
+   * @param {string} command - Comando a executar
+   * @returns {string} Saída padrão sem a quebra de linha final
+   */
+  runCommand(command) {
+    try {
+      const output = execSync(command, {
+        encoding: 'utf-8',
+        timeout: this.cmdTimeout,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      return output.replace(/\r?\n$/, '');
+    } catch (error) {
+      // A saída do comando não é incluída na mensagem para não expor o segredo
+      const reason = error.code === 'ETIMEDOUT' ? `tempo limite de ${this.cmdTimeout}ms excedido` : `código de saída ${error.status ?? error.code}`;
+      throw new Error(`Falha ao executar comando de segredo: ${reason}`);
+    }
+  }
+
+  /**
+   * Substitui valores de segredos já resolvidos por *** em um texto
+   * @param {string} text - Texto a mascarar
+   * @returns {string} Texto mascarado
+   */
+  mask(text) {
+    if (typeof text !== 'string' || this.cache.size === 0) {
+      return text;
+    }
+
+    let masked = text;
+
+    for (const value of this.cache.values()) {
+      // Valores muito curtos geram falsos positivos e não são mascarados
+      if (value && value.length >= 4) {
+        masked = masked.split(value).join('***');
+      }
+    }
+
+    return masked;
+  }
+
+  /**
+   * Mascara segredos nos textos de um valor qualquer (objetos e arrays são percorridos)
+   * Números e demais tipos são mantidos: um segredo "2024" não altera o número 20245
+   * @param {any} value - Valor a mascarar
+   * @returns {any} Cópia com os textos mascarados
+   */
+  maskDeep(value) {
+    if (value && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+
+    if (typeof value === 'string') {
+      return this.mask(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.maskDeep(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.maskDeep(item)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Descarta os segredos resolvidos
+   */
+  clear() {
+    this.cache.clear();
+  }
+}
+
+// Instância singleton do serviço
+const secretService = new SecretService();
+
+export default secretService;
+export { SecretService };
@@ -1,28 +1,56 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, openSync, closeSync, unlinkSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import environmentService from '../environment/index.js';
+
 /**
  * Serviço de Sessão
- * Gerencia armazenamento temporário de dados de sessão (tokens, etc.)
+ * Gerencia armazenamento de dados de sessão (tokens, etc.)
+ * Entradas marcadas como persistentes são gravadas criptografadas em ~/.gicli/sessions.enc
+ * e reaproveitadas entre execuções da CLI
  */
 
+const STORE_VERSION = 1;
+const LOCK_TIMEOUT = 10000; // Tempo máximo aguardando o lock (ms)
+const LOCK_STALE_AFTER = 30000; // Lock mais antigo que isso é considerado abandonado (ms)
+
 class SessionService {
   constructor() {
-    this.sessions = new Map(); // Map<key, {value, expiresAt}>
+    this.sessions = new Map(); // Map<key, {value, expiresAt, createdAt, persist}>
+    this.storeDir = join(homedir(), '.gicli');
+    this.storePath = join(this.storeDir, 'sessions.enc');
+    this.lockPath = join(this.storeDir, 'sessions.lock');
+    this.storeLoaded = false;
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Limpa a cada minuto
+    this.cleanupInterval.unref();
   }
 
   /**
    * Armazena um valor na sessão com TTL opcional
    * @param {string} key - Chave da sessão
    * @param {any} value - Valor a armazenar
-   * @param {number} ttlSeconds - Tempo de vida em segundos (opcional)
+   * @param {number} ttlSeconds - Tempo de vida em segundos (opcional; zero ou negativo já nasce expirado)
+   * @param {object} options - Opções adicionais
+   * @param {boolean} options.persist - Grava a entrada no armazenamento persistente
    */
-  set(key, value, ttlSeconds = null) {
-    const expiresAt = ttlSeconds ? Date.now() + (ttlSeconds * 1000) : null;
+  set(key, value, ttlSeconds = null, options = {}) {
+    this.ensureStoreLoaded();
 
-    this.sessions.set(key, {
+    const expiresAt = ttlSeconds != null ? Date.now() + (ttlSeconds * 1000) : null;
+    const entry = {
       value,
       expiresAt,
-      createdAt: Date.now()
-    });
+      createdAt: Date.now(),
+      persist: Boolean(options.persist)
+    };
+
+    this.sessions.set(key, entry);
+
+    if (entry.persist) {
+      this.updateStore(stored => {
+        stored[key] = entry;
+      });
+    }
   }
 
   /**
@@ -31,6 +59,7 @@ class SessionService {
    * @returns {any|null} Valor ou null se não encontrado/expirado
    */
   get(key) {
+    this.ensureStoreLoaded();
     const session = this.sessions.get(key);
 
     if (!session) return null;
@@ -50,6 +79,7 @@ class SessionService {
    * @returns {boolean} True se existe e válida
    */
   has(key) {
+    this.ensureStoreLoaded();
     const session = this.sessions.get(key);
 
     if (!session) return false;
@@ -63,12 +93,96 @@ class SessionService {
     return true;
   }
 
+  /**
+   * Captura valores de uma resposta em variáveis de sessão ($SESSION_*)
+   * @param {object} captureConfig - Mapa NOME -> caminho ou { from, path, ttl, persist, required }
+   * @param {object} response - Resposta ({ data, headers, status })
+   * @returns {string[]} Nomes das variáveis capturadas
+   */
+  capture(captureConfig, response) {
+    const captured = [];
+
+    for (const [name, rule] of Object.entries(captureConfig || {})) {
+      const config = typeof rule === 'string' ? { path: rule } : rule;
+      const from = config.from || 'body';
+      let value;
+
+      switch (from) {
+        case 'status':
+          value = response.status;
+          break;
+        case 'headers':
+          if (typeof config.path !== 'string' || !config.path) {
+            throw new Error(`Captura '${name}' de headers requer 'path' com o nome do header`);
+          }
+          value = response.headers?.[config.path.toLowerCase()];
+          break;
+        case 'body':
+        default:
+          value = config.path ? this.extractPath(response.data, config.path) : response.data;
+      }
+
+      if (value === undefined || value === null) {
+        if (config.required) {
+          throw new Error(`Valor para captura '${name}' não encontrado em ${from}${config.path ? `: ${config.path}` : ''}`);
+        }
+        console.warn(`Aviso: Valor para captura '${name}' não encontrado em ${from}${config.path ? `: ${config.path}` : ''}`);
+        continue;
+      }
+
+      // Persistido por padrão para uso em execuções futuras
+      this.set(name, value, config.ttl || null, { persist: config.persist !== false });
+      captured.push(name);
+    }
+
+    return captured;
+  }
+
+  /**
+   * Obtém valor por caminho com pontos e índices (ex: "data.items[0].id")
+   * @param {any} obj - Objeto de origem
+   * @param {string} path - Caminho
+   * @returns {any} Valor ou undefined
+   */
+  extractPath(obj, path) {
+    let current = obj;
+
+    for (const part of path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)) {
+      if (current && typeof current === 'object' && part in current) {
+        current = current[part];
+      } else {
+        return undefined;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Obtém o tempo restante de uma sessão
+   * @param {string} key - Chave da sessão
+   * @returns {number|null} Segundos até expirar (0 se inexistente/expirada) ou null se não expira
+   */
+  getRemainingTtl(key) {
+    if (!this.has(key)) return 0;
+
+    const session = this.sessions.get(key);
+    return session.expiresAt ? Math.max(0, Math.floor((session.expiresAt - Date.now()) / 1000)) : null;
+  }
+
   /**
    * Remove uma sessão
    * @param {string} key - Chave da sessão
    */
   delete(key) {
+    const session = this.sessions.get(key);
     this.sessions.delete(key);
+
+    if (session?.persist) {
+      this.updateStore(stored => {
+        delete stored[key];
+      });
+    }
   }
 
   /**
@@ -83,6 +197,13 @@ class SessionService {
     if (!session) return false;
 
     session.expiresAt = Date.now() + (ttlSeconds * 1000);
+
+    if (session.persist) {
+      this.updateStore(stored => {
+        stored[key] = session;
+      });
+    }
+
     return true;
   }
 
@@ -91,6 +212,7 @@ class SessionService {
    * @returns {string[]} Array de chaves
    */
   keys() {
+    this.ensureStoreLoaded();
     const activeKeys = [];
 
     for (const [key, session] of this.sessions) {
@@ -120,9 +242,205 @@ class SessionService {
 
   /**
    * Limpa todas as sessões
+   * @param {boolean} includePersisted - Também remove o armazenamento persistente
    */
-  clear() {
+  clear(includePersisted = false) {
     this.sessions.clear();
+
+    if (includePersisted) {
+      this.updateStore(stored => {
+        for (const key of Object.keys(stored)) {
+          delete stored[key];
+        }
+      });
+    }
+  }
+
+  /**
+   * Verifica se o armazenamento persistente pode ser usado
+   * Requer uma chave de criptografia (gicli key init ou ENV_ENCRYPTION_KEY) para que o arquivo possa ser lido em execuções futuras
+   * @returns {boolean} True se disponível
+   */
+  isPersistenceAvailable() {
+    return environmentService.hasEncryptionKey();
+  }
+
+  /**
+   * Carrega as sessões persistidas para memória (uma vez por processo)
+   */
+  ensureStoreLoaded() {
+    if (this.storeLoaded || !this.isPersistenceAvailable()) return;
+
+    this.storeLoaded = true;
+    const now = Date.now();
+
+    for (const [key, entry] of Object.entries(this.readStoreOrEmpty())) {
+      if (!this.sessions.has(key) && (!entry.expiresAt || now <= entry.expiresAt)) {
+        this.sessions.set(key, { ...entry, persist: true });
+      }
+    }
+  }
+
+  /**
+   * Lista as entradas do armazenamento persistente
+   * @returns {object} Mapa chave -> {value, expiresAt, createdAt}
+   */
+  listPersisted() {
+    return this.isPersistenceAvailable() ? this.readStoreOrEmpty() : {};
+  }
+
+  /**
+   * Remove entradas do armazenamento persistente
+   * @param {string} key - Chave a remover (todas se não informada)
+   * @param {boolean} expiredOnly - Remove apenas entradas expiradas
+   * @returns {string[]} Chaves removidas
+   */
+  clearPersisted(key = null, expiredOnly = false) {
+    const removed = [];
+    const now = Date.now();
+
+    this.updateStore(stored => {
+      for (const [storedKey, entry] of Object.entries(stored)) {
+        if (key && storedKey !== key) continue;
+        if (expiredOnly && !(entry.expiresAt && now > entry.expiresAt)) continue;
+        delete stored[storedKey];
+        removed.push(storedKey);
+      }
+    });
+
+    removed.forEach(removedKey => this.sessions.delete(removedKey));
+    return removed;
+  }
+
+  /**
+   * Lê e descriptografa o armazenamento persistente
+   * @returns {object} Mapa chave -> entrada (vazio se inexistente)
+   * @throws {Error} Se o arquivo existe mas não pode ser descriptografado ou interpretado
+   */
+  readStore() {
+    if (!existsSync(this.storePath)) return {};
+
+    const content = environmentService.decrypt(readFileSync(this.storePath, 'utf8').trim());
+    const store = JSON.parse(content);
+    return store.sessions || {};
+  }
+
+  /**
+   * Lê o armazenamento persistente para consulta, avisando se o arquivo estiver ilegível
+   * @returns {object} Mapa chave -> entrada (vazio se inexistente ou ilegível)
+   */
+  readStoreOrEmpty() {
+    try {
+      return this.readStore();
+    } catch (error) {
+      console.warn(`Aviso: Não foi possível ler sessões persistidas (${this.storePath}): ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Preserva um armazenamento ilegível (ex: chave de criptografia trocada) antes de gravar um novo
+   * @param {Error} error - Erro de leitura
+   * @returns {string} Caminho da cópia
+   */
+  backupStore(error) {
+    const backupPath = `${this.storePath}.${Date.now()}.bak`;
+    renameSync(this.storePath, backupPath);
+    console.warn(`Aviso: Sessões persistidas ilegíveis (${error.message}); arquivo preservado em ${backupPath}`);
+    return backupPath;
+  }
+
+  /**
+   * Aplica uma alteração no armazenamento persistente sob lock de arquivo
+   * O arquivo é relido dentro do lock para não descartar alterações de outros processos
+   * @param {Function} mutator - Função que recebe o mapa de sessões e o altera
+   */
+  updateStore(mutator) {
+    if (!this.isPersistenceAvailable()) return;
+
+    try {
+      if (!existsSync(this.storeDir)) {
+        mkdirSync(this.storeDir, { recursive: true, mode: 0o700 });
+      }
+
+      this.withLock(() => {
+        // Um arquivo ilegível é preservado em vez de sobrescrito (sessões das demais origens)
+        let stored;
+        try {
+          stored = this.readStore();
+        } catch (error) {
+          this.backupStore(error);
+          stored = {};
+        }
+
+        mutator(stored);
+
+        // Descarta entradas expiradas a cada gravação
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(stored)) {
+          if (entry.expiresAt && now > entry.expiresAt) {
+            delete stored[key];
+          }
+        }
+
+        const sessions = {};
+        for (const [key, entry] of Object.entries(stored)) {
+          sessions[key] = { value: entry.value, expiresAt: entry.expiresAt, createdAt: entry.createdAt };
+        }
+
+        const content = environmentService.encrypt(JSON.stringify({ version: STORE_VERSION, sessions }));
+        const tempPath = `${this.storePath}.${process.pid}.tmp`;
+        writeFileSync(tempPath, content, { mode: 0o600 });
+        renameSync(tempPath, this.storePath);
+      });
+    } catch (error) {
+      console.warn(`Aviso: Não foi possível gravar sessões persistidas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Executa uma função com lock exclusivo do armazenamento
+   * @param {Function} fn - Função a executar
+   * @returns {any} Retorno da função
+   */
+  withLock(fn) {
+    const start = Date.now();
+    let fd = null;
+
+    while (fd === null) {
+      try {
+        fd = openSync(this.lockPath, 'wx', 0o600);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // Remove lock abandonado por um processo que terminou sem liberá-lo
+        try {
+          if (Date.now() - statSync(this.lockPath).mtimeMs > LOCK_STALE_AFTER) {
+            unlinkSync(this.lockPath);
+            continue;
+          }
+        } catch {
+          continue; // Lock liberado entre as verificações
+        }
+
+        if (Date.now() - start > LOCK_TIMEOUT) {
+          throw new Error(`Timeout aguardando lock de sessões: ${this.lockPath}`);
+        }
+
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+      }
+    }
+
+    try {
+      return fn();
+    } finally {
+      closeSync(fd);
+      try {
+        unlinkSync(this.lockPath);
+      } catch {
+        // Lock já removido
+      }
+    }
   }
 
   /**
@@ -153,5 +471,8 @@ class SessionService {
 // Instância singleton do serviço
 const sessionService = new SessionService();
 
+// Procura a chave sem prefixo (capturas) e com prefixo (sessões de auth, ex: SESSION_RHID_TOKEN)
+environmentService.setSessionLookup(key => sessionService.get(key) ?? sessionService.get(`SESSION_${key}`));
+
 export default sessionService;
 export { SessionService };
@@ -0,0 +1,606 @@
+import dateService from '../date/index.js';
+
+/**
+ * Serviço de Templates
+ * Avalia expressões {{ ... }} com caminhos de resultados de jobs, filtros,
+ * aritmética, concatenação, comparações e operadores lógicos,
+ * ex: {{ cargos.data.items[0].codigo | default('000') }}
+ */
+
+const OPERATORS = ['+', '-', '*', '/', '%', '|', '(', ')', '[', ']', '.', ',', '<', '>'];
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+class TemplateService {
+  constructor() {
+    // Filtros são chamados com this = contexto da avaliação ({ timezone })
+    this.filters = {
+      default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+      upper: (value) => this.stringify(value).toUpperCase(),
+      lower: (value) => this.stringify(value).toLowerCase(),
+      trim: (value) => this.stringify(value).trim(),
+      json: (value) => JSON.stringify(value),
+      join: (value, separator = ',') => {
+        if (!Array.isArray(value)) {
+          throw new Error(`filtro join espera um array, recebeu ${typeof value}`);
+        }
+        return value.map(item => this.stringify(item)).join(separator);
+      },
+      // Sem fuso explícito usa o do job/origem em avaliação, o mesmo das macros $DATE
+      date(value, format = 'YYYY-MM-DD', timezone = this?.timezone || dateService.resolveTimezone()) {
+        return dateService.formatValue(value, format, timezone);
+      },
+      length: (value) => {
+        if (value === null) return 0;
+        if (typeof value === 'string' || Array.isArray(value)) return value.length;
+        if (typeof value === 'object') return Object.keys(value).length;
+        throw new Error(`filtro length espera texto, array ou objeto, recebeu ${typeof value}`);
+      },
+      // Conversões explícitas (ex: {{ colab.data.regime | string }} mantém "1" como texto)
+      string: (value) => this.stringify(value),
+      number: (value) => {
+        const number = Number(value);
+        if (value === null || value === '' || typeof value === 'object' || Number.isNaN(number)) {
+          throw new Error(`filtro number não converte ${JSON.stringify(value)}`);
+        }
+        return number;
+      },
+      boolean: (value) => (typeof value === 'string' ? !['', '0', 'false', 'no', 'nao', 'não'].includes(value.trim().toLowerCase()) : Boolean(value))
+    };
+  }
+
+  /**
+   * Substitui todas as expressões {{ ... }} de um texto
+   * @param {string} text - Texto com expressões
+   * @param {object} scope - Valores disponíveis pelo nome raiz (ex: { cargos: dadosDoJob })
+   * @param {object} options - Opções da avaliação ({ timezone } usado pelo filtro date)
+   * @returns {string} Texto com expressões avaliadas
+   */
+  render(text, scope = {}, options = {}) {
+    return text.replace(/\{\{([^}]+)\}\}/g, (match, expression) => this.stringify(this.evaluate(expression, scope, options)));
+  }
+
+  /**
+   * Avalia um valor de configuração preservando o tipo quando ele é composto por um único template
+   * (ex: "{{colab.data.regime}}" resulta no número 1 e não no texto "1")
+   * @param {string} text - Valor com expressões
+   * @param {object} scope - Valores disponíveis pelo nome raiz
+   * @param {object} options - Opções da avaliação ({ timezone } usado pelo filtro date)
+   * @returns {any} Valor tipado (template único) ou texto com expressões avaliadas
+   */
+  renderValue(text, scope = {}, options = {}) {
+    const match = text.match(/^\{\{([^}]+)\}\}$/);
+    return match ? this.evaluate(match[1], scope, options) : this.render(text, scope, options);
+  }
+
+  /**
+   * Avalia uma expressão
+   * @param {string} expression - Expressão sem as chaves
+   * @param {object} scope - Valores disponíveis pelo nome raiz
+   * @param {object} options - Opções da avaliação ({ timezone } usado pelo filtro date)
+   * @returns {any} Valor resultante
+   * @throws {Error} Se a expressão for inválida ou não puder ser resolvida
+   */
+  evaluate(expression, scope = {}, options = {}) {
+    const state = { missing: null, context: { timezone: options.timezone || null } };
+    let value;
+
+    try {
+      const parser = { tokens: this.tokenize(expression), position: 0 };
+      const ast = this.parseOr(parser);
+
+      if (parser.position < parser.tokens.length) {
+        throw new Error(`token inesperado '${parser.tokens[parser.position].value}'`);
+      }
+
+      value = this.evaluateNode(ast, scope, state);
+    } catch (error) {
+      throw new Error(`Erro no template {{${expression}}}: ${error.message}`);
+    }
+
+    if (value === undefined) {
+      throw new Error(`Template {{${expression}}} não resolvido: ${state.missing || 'valor indefinido'}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Lista os nomes raiz referenciados por uma expressão (ex: ids de job)
+   * @param {string} expression - Expressão sem as chaves
+   * @returns {string[]} Nomes raiz dos caminhos
+   */
+  getReferencedRoots(expression) {
+    const parser = { tokens: this.tokenize(expression), position: 0 };
+    const roots = new Set();
+    const visit = (node) => {
+      if (!node) return;
+      if (node.type === 'path') roots.add(node.root);
+      [node.left, node.right, node.operand, node.input, ...(node.args || [])].forEach(visit);
+    };
+
+    visit(this.parseOr(parser));
+    return [...roots];
+  }
+
+  /**
+   * Converte a expressão em tokens
+   * @param {string} expression - Expressão
+   * @returns {object[]} Tokens ({ type, value })
+   */
+  tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+      const char = expression[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let value = '';
+        i++;
+        while (i < expression.length && expression[i] !== char) {
+          if (expression[i] === '\\' && i + 1 < expression.length) i++;
+          value += expression[i++];
+        }
+        if (i >= expression.length) {
+          throw new Error('texto sem aspas de fechamento');
+        }
+        i++;
+        tokens.push({ type: 'string', value });
+        continue;
+      }
+
+      const comparison = COMPARISON_OPERATORS.find(operator => operator.length === 2 && expression.startsWith(operator, i));
+      if (comparison) {
+        tokens.push({ type: 'operator', value: comparison });
+        i += 2;
+        continue;
+      }
+
+      const numberMatch = expression.slice(i).match(/^\d+(\.\d+)?/);
+      if (numberMatch) {
+        tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      // Identificadores aceitam hífen interno (ids de job), por isso a subtração exige espaços: a - 1
+      const identifierMatch = expression.slice(i).match(/^[A-Za-z_$][\w$]*(-[\w$]+)*/);
+      if (identifierMatch) {
+        tokens.push({ type: 'identifier', value: identifierMatch[0] });
+        i += identifierMatch[0].length;
+        continue;
+      }
+
+      if (OPERATORS.includes(char)) {
+        tokens.push({ type: 'operator', value: char });
+        i++;
+        continue;
+      }
+
+      throw new Error(`caractere inválido '${char}'`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Verifica se o próximo token é o operador informado e o consome
+   * @param {object} parser - Estado do parser
+   * @param {string} operator - Operador esperado
+   * @returns {boolean} True se consumiu o operador
+   */
+  accept(parser, operator) {
+    const token = parser.tokens[parser.position];
+    if (token && token.type === 'operator' && token.value === operator) {
+      parser.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consome o operador informado ou lança erro
+   * @param {object} parser - Estado do parser
+   * @param {string} operator - Operador esperado
+   */
+  expect(parser, operator) {
+    if (!this.accept(parser, operator)) {
+      const token = parser.tokens[parser.position];
+      throw new Error(`esperado '${operator}'${token ? `, encontrado '${token.value}'` : ' no fim da expressão'}`);
+    }
+  }
+
+  /**
+   * Verifica se o próximo token é a palavra-chave informada (and, or, not) e a consome
+   * @param {object} parser - Estado do parser
+   * @param {string} keyword - Palavra-chave
+   * @returns {boolean} True se consumiu a palavra-chave
+   */
+  acceptKeyword(parser, keyword) {
+    const token = parser.tokens[parser.position];
+    if (token && token.type === 'identifier' && token.value === keyword) {
+      parser.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * or := and ('or' and)*
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseOr(parser) {
+    let node = this.parseAnd(parser);
+
+    while (this.acceptKeyword(parser, 'or')) {
+      node = { type: 'logical', operator: 'or', left: node, right: this.parseAnd(parser) };
+    }
+
+    return node;
+  }
+
+  /**
+   * and := not ('and' not)*
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseAnd(parser) {
+    let node = this.parseNot(parser);
+
+    while (this.acceptKeyword(parser, 'and')) {
+      node = { type: 'logical', operator: 'and', left: node, right: this.parseNot(parser) };
+    }
+
+    return node;
+  }
+
+  /**
+   * not := 'not' not | comparação
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseNot(parser) {
+    if (this.acceptKeyword(parser, 'not')) {
+      return { type: 'not', operand: this.parseNot(parser) };
+    }
+    return this.parseComparison(parser);
+  }
+
+  /**
+   * comparação := pipeline (('==' | '!=' | '<' | '<=' | '>' | '>=') pipeline)?
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseComparison(parser) {
+    const node = this.parsePipeline(parser);
+    const operator = COMPARISON_OPERATORS.find(op => this.accept(parser, op));
+
+    return operator ? { type: 'comparison', operator, left: node, right: this.parsePipeline(parser) } : node;
+  }
+
+  /**
+   * pipeline := additive ('|' filtro ('(' argumentos ')')?)*
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parsePipeline(parser) {
+    let node = this.parseAdditive(parser);
+
+    while (this.accept(parser, '|')) {
+      const token = parser.tokens[parser.position++];
+      if (!token || token.type !== 'identifier') {
+        throw new Error('nome de filtro esperado após \'|\'');
+      }
+      if (!this.filters[token.value]) {
+        throw new Error(`filtro desconhecido '${token.value}'. Filtros disponíveis: ${Object.keys(this.filters).join(', ')}`);
+      }
+
+      const args = [];
+      if (this.accept(parser, '(')) {
+        if (!this.accept(parser, ')')) {
+          do {
+            args.push(this.parsePipeline(parser));
+          } while (this.accept(parser, ','));
+          this.expect(parser, ')');
+        }
+      }
+
+      node = { type: 'filter', name: token.value, input: node, args };
+    }
+
+    return node;
+  }
+
+  /**
+   * additive := multiplicative (('+' | '-') multiplicative)*
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseAdditive(parser) {
+    let node = this.parseMultiplicative(parser);
+
+    while (true) {
+      const operator = ['+', '-'].find(op => this.accept(parser, op));
+      if (!operator) return node;
+      node = { type: 'binary', operator, left: node, right: this.parseMultiplicative(parser) };
+    }
+  }
+
+  /**
+   * multiplicative := unary (('*' | '/' | '%') unary)*
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseMultiplicative(parser) {
+    let node = this.parseUnary(parser);
+
+    while (true) {
+      const operator = ['*', '/', '%'].find(op => this.accept(parser, op));
+      if (!operator) return node;
+      node = { type: 'binary', operator, left: node, right: this.parseUnary(parser) };
+    }
+  }
+
+  /**
+   * unary := '-' unary | primary
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parseUnary(parser) {
+    if (this.accept(parser, '-')) {
+      return { type: 'negate', operand: this.parseUnary(parser) };
+    }
+    return this.parsePrimary(parser);
+  }
+
+  /**
+   * primary := número | texto | true | false | null | caminho | '(' or ')'
+   * @param {object} parser - Estado do parser
+   * @returns {object} Nó da árvore
+   */
+  parsePrimary(parser) {
+    const token = parser.tokens[parser.position];
+
+    if (!token) {
+      throw new Error('expressão incompleta');
+    }
+
+    if (this.accept(parser, '(')) {
+      const node = this.parseOr(parser);
+      this.expect(parser, ')');
+      return node;
+    }
+
+    parser.position++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'true') return { type: 'literal', value: true };
+      if (token.value === 'false') return { type: 'literal', value: false };
+      if (token.value === 'null') return { type: 'literal', value: null };
+      return this.parsePath(parser, token.value);
+    }
+
+    throw new Error(`token inesperado '${token.value}'`);
+  }
+
+  /**
+   * caminho := identificador ('.' identificador | '[' número | texto ']')*
+   * @param {object} parser - Estado do parser
+   * @param {string} root - Nome raiz do caminho
+   * @returns {object} Nó da árvore
+   */
+  parsePath(parser, root) {
+    const segments = [];
+
+    while (true) {
+      if (this.accept(parser, '.')) {
+        const token = parser.tokens[parser.position++];
+        // Campos numéricos após ponto (ex: data.0) também são aceitos
+        if (!token || (token.type !== 'identifier' && token.type !== 'number')) {
+          throw new Error(`nome de campo esperado após '${[root, ...segments].join('.')}.'`);
+        }
+        segments.push(String(token.value));
+      } else if (this.accept(parser, '[')) {
+        const token = parser.tokens[parser.position++];
+        if (!token || (token.type !== 'number' && token.type !== 'string')) {
+          throw new Error('índice ou texto esperado entre colchetes');
+        }
+        segments.push(token.value);
+        this.expect(parser, ']');
+      } else {
+        return { type: 'path', root, segments };
+      }
+    }
+  }
+
+  /**
+   * Avalia um nó da árvore
+   * @param {object} node - Nó
+   * @param {object} scope - Valores disponíveis pelo nome raiz
+   * @param {object} state - Estado da avaliação (motivo de valores ausentes)
+   * @returns {any} Valor
+   */
+  evaluateNode(node, scope, state) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'path':
+        return this.resolvePath(node, scope, state);
+
+      case 'negate': {
+        const value = this.evaluateNode(node.operand, scope, state);
+        return value === undefined ? undefined : -this.toNumber(value);
+      }
+
+      case 'binary': {
+        const left = this.evaluateNode(node.left, scope, state);
+        const right = this.evaluateNode(node.right, scope, state);
+
+        // Valores ausentes se propagam para que o filtro default possa tratá-los
+        if (left === undefined || right === undefined) return undefined;
+
+        if (node.operator === '+') {
+          // Concatena quando um dos lados é texto
+          return typeof left === 'string' || typeof right === 'string'
+            ? this.stringify(left) + this.stringify(right)
+            : this.toNumber(left) + this.toNumber(right);
+        }
+
+        const a = this.toNumber(left);
+        const b = this.toNumber(right);
+
+        if ((node.operator === '/' || node.operator === '%') && b === 0) {
+          throw new Error('divisão por zero');
+        }
+
+        switch (node.operator) {
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/': return a / b;
+          case '%': return a % b;
+        }
+        break;
+      }
+
+      case 'comparison': {
+        // Campos ausentes são comparados como null (ex: {{ consulta.data.id == null }})
+        const left = this.evaluateNode(node.left, scope, state) ?? null;
+        const right = this.evaluateNode(node.right, scope, state) ?? null;
+        return this.compare(node.operator, left, right);
+      }
+
+      case 'logical': {
+        const left = this.isTruthy(this.evaluateNode(node.left, scope, state));
+        if (node.operator === 'and' && !left) return false;
+        if (node.operator === 'or' && left) return true;
+        return this.isTruthy(this.evaluateNode(node.right, scope, state));
+      }
+
+      case 'not':
+        return !this.isTruthy(this.evaluateNode(node.operand, scope, state));
+
+      case 'filter': {
+        const input = this.evaluateNode(node.input, scope, state);
+        const args = node.args.map(arg => this.evaluateNode(arg, scope, state));
+
+        // Apenas o filtro default aceita valores ausentes
+        if (input === undefined && node.name !== 'default') return undefined;
+
+        return this.filters[node.name].call(state.context, input, ...args);
+      }
+    }
+
+    throw new Error(`nó desconhecido: ${node.type}`);
+  }
+
+  /**
+   * Resolve um caminho a partir do escopo
+   * @param {object} node - Nó do caminho
+   * @param {object} scope - Valores disponíveis pelo nome raiz
+   * @param {object} state - Estado da avaliação
+   * @returns {any} Valor ou undefined se algum campo não existir
+   */
+  resolvePath(node, scope, state) {
+    if (!(node.root in scope) || scope[node.root] === undefined) {
+      state.missing = `resultado de '${node.root}' não encontrado (o job foi executado antes?)`;
+      return undefined;
+    }
+
+    let current = scope[node.root];
+    let path = node.root;
+
+    for (const segment of node.segments) {
+      if (current !== null && typeof current === 'object' && segment in current) {
+        current = current[segment];
+        path += typeof segment === 'number' ? `[${segment}]` : `.${segment}`;
+      } else {
+        state.missing = typeof segment === 'number'
+          ? `índice ${segment} inexistente em ${path}`
+          : `campo '${segment}' não encontrado em ${path}`;
+        return undefined;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Compara dois valores (números e textos numéricos são comparados como números)
+   * @param {string} operator - Operador de comparação
+   * @param {any} left - Valor à esquerda
+   * @param {any} right - Valor à direita
+   * @returns {boolean} Resultado da comparação
+   */
+  compare(operator, left, right) {
+    const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+    const numeric = isNumeric(left) && isNumeric(right) && (typeof left === 'number' || typeof right === 'number');
+    const a = numeric ? Number(left) : (left !== null && typeof left === 'object' ? JSON.stringify(left) : left);
+    const b = numeric ? Number(right) : (right !== null && typeof right === 'object' ? JSON.stringify(right) : right);
+
+    switch (operator) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+    }
+
+    if (a === null || b === null) {
+      throw new Error(`comparação '${operator}' com valor nulo`);
+    }
+
+    switch (operator) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+    }
+  }
+
+  /**
+   * Avalia um valor como condição (null, false, 0, texto vazio e array vazio são falsos)
+   * @param {any} value - Valor
+   * @returns {boolean} Resultado
+   */
+  isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  /**
+   * Converte valor em número para operações aritméticas
+   * @param {any} value - Valor
+   * @returns {number} Número
+   */
+  toNumber(value) {
+    const number = Number(value);
+    if (value === null || value === '' || Number.isNaN(number)) {
+      throw new Error(`valor não numérico em operação aritmética: ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+
+  /**
+   * Converte valor em texto para inserção no template
+   * @param {any} value - Valor
+   * @returns {string} Texto
+   */
+  stringify(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+}
+
+// Instância singleton do serviço
+const templateService = new TemplateService();
+
+export default templateService;
+export { TemplateService };
@@ -0,0 +1,47 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import conditionService from '../src/services/condition/index.js';
+import dateService from '../src/services/date/index.js';
+
+// Cada job expõe o corpo da resposta (aqui, APIs que envelopam os registros em "data")
+const results = {
+  consulta: { data: { data: { total: 0, itens: [], status: 'ATIVO' } } },
+  cargos: { data: { data: { items: [{ codigo: '001' }] } } }
+};
+
+test('avalia condições com resultados de jobs', () => {
+  assert.equal(conditionService.evaluate('{{ consulta.data.total == 0 }}', results), true);
+  assert.equal(conditionService.evaluate("consulta.data.status != 'ATIVO'", results), false);
+  assert.equal(conditionService.evaluate('cargos.data.items', results), true);
+  assert.equal(conditionService.evaluate('consulta.data.itens', results), false);
+  assert.equal(conditionService.evaluate('not consulta.data.itens and cargos.data.items[0].codigo == 1', results), true);
+  assert.equal(conditionService.evaluate('consulta.data.removido == null', results), true);
+  assert.equal(conditionService.evaluate(false, results), false);
+});
+
+test('disponibiliza variáveis de ambiente e a data atual', () => {
+  process.env.ENV_EXECUTAR_CARGA = 'sim';
+
+  try {
+    assert.equal(conditionService.evaluate("env.ENV_EXECUTAR_CARGA == 'sim'", results), true);
+    assert.equal(conditionService.evaluate(`now.date == '${dateService.getDateContext('UTC').date}'`, results, null, 'UTC'), true);
+    assert.equal(conditionService.evaluate('now.weekday >= 0 and now.weekday <= 6', results), true);
+  } finally {
+    delete process.env.ENV_EXECUTAR_CARGA;
+  }
+});
+
+test('condição inválida ou com job ausente falha', () => {
+  assert.throws(() => conditionService.evaluate('consulta.data.total ==', results), /Condição when inválida/);
+  assert.throws(() => conditionService.evaluate('outro.data.ativo', results), /resultado de 'outro' não encontrado/);
+  assert.throws(() => conditionService.evaluate('consulta.data.removido > 0', results), /comparação '>' com valor nulo/);
+});
+
+test('lista os jobs referenciados pela condição', () => {
+  assert.deepEqual(
+    conditionService.getSourceJobs({ when: "{{ consulta.data.total > 0 and env.ENV_X == '1' or now.hour < cargos.data.items | length }}" }).sort(),
+    ['cargos', 'consulta']
+  );
+  assert.deepEqual(conditionService.getSourceJobs({ when: true }), []);
+});
@@ -0,0 +1,34 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dateService from '../src/services/date/index.js';
+
+// 23:30 de 29/02/2024 em São Paulo (UTC-3)
+const now = new Date('2024-03-01T02:30:00Z');
+
+test('macros usam o dia do fuso configurado', () => {
+  assert.equal(dateService.resolveMacros('$DATE', 'UTC', now), '2024-03-01');
+  assert.equal(dateService.resolveMacros('$DATE', 'America/Sao_Paulo', now), '2024-02-29');
+  assert.equal(dateService.resolveMacros('$YESTERDAY', 'America/Sao_Paulo', now), '2024-02-28');
+  assert.equal(dateService.resolveMacros('$NOW', 'America/Sao_Paulo', now), '2024-02-29T23:30:00-03:00');
+});
+
+test('macros com deslocamentos e formato', () => {
+  const sp = text => dateService.resolveMacros(text, 'America/Sao_Paulo', now);
+
+  assert.equal(sp('$PREV_MONTH_END(DD/MM/YYYY)'), '31/01/2024');
+  assert.equal(sp('$MONTH_START+1M'), '2024-03-01');
+  assert.equal(sp('$MONTH_END'), '2024-02-29');
+  assert.equal(sp('$NOW-2h(HH:mm)'), '21:30');
+  assert.equal(sp('de=$DATE-1w&ate=$DATE'), 'de=2024-02-22&ate=2024-02-29');
+  assert.equal(dateService.resolveMacros('$DATE-1M', 'UTC', new Date('2024-03-31T12:00:00Z')), '2024-02-29');
+});
+
+test('textos parecidos com macros são mantidos', () => {
+  assert.equal(dateService.resolveMacros('$DATEX $DATE_INICIO $ENV_DATE', 'UTC', now), '$DATEX $DATE_INICIO $ENV_DATE');
+});
+
+test('fuso do job tem prioridade sobre o da origem', () => {
+  assert.equal(dateService.resolveTimezone({ timezone: 'Europe/Lisbon' }, { timezone: 'America/Sao_Paulo' }), 'Europe/Lisbon');
+  assert.equal(dateService.resolveTimezone({}, { timezone: 'America/Sao_Paulo' }), 'America/Sao_Paulo');
+});
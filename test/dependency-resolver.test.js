@@ -0,0 +1,135 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DependencyResolver } from '../src/services/dependency-resolver/index.js';
+
+const jobs = [
+  { id: 'relatorio', dependencies: ['cargos', 'funcionarios'] },
+  { id: 'cargos', dependencies: ['login'] },
+  { id: 'funcionarios', dependencies: ['login'] },
+  { id: 'login' },
+  { id: 'avulso' }
+];
+
+test('dependências são executadas antes dos dependentes', () => {
+  const order = new DependencyResolver().resolveExecutionOrder(jobs);
+
+  assert.equal(order.length, jobs.length);
+  for (const job of jobs) {
+    for (const dependency of job.dependencies || []) {
+      assert.ok(order.indexOf(dependency) < order.indexOf(job.id), `${dependency} antes de ${job.id}`);
+    }
+  }
+});
+
+test('jobs alvo executam apenas as próprias dependências', () => {
+  const resolver = new DependencyResolver();
+
+  assert.deepEqual(resolver.resolveExecutionOrder(jobs, 'cargos'), ['login', 'cargos']);
+  assert.deepEqual(resolver.resolveExecutionOrder(jobs, ['cargos', 'avulso']).sort(), ['avulso', 'cargos', 'login']);
+});
+
+test('jobs independentes ficam no mesmo nível', () => {
+  const levels = new DependencyResolver().resolveExecutionLevels(jobs);
+
+  assert.deepEqual(levels.map(level => [...level].sort()), [['avulso', 'login'], ['cargos', 'funcionarios'], ['relatorio']]);
+});
+
+test('o nível considera a dependência mais profunda', () => {
+  const levels = new DependencyResolver().resolveExecutionLevels([
+    { id: 'a' },
+    { id: 'b', dependencies: ['a'] },
+    { id: 'c', dependencies: ['a', 'b'] }
+  ]);
+
+  assert.deepEqual(levels, [['a'], ['b'], ['c']]);
+});
+
+test('ciclos são detectados', () => {
+  const resolver = new DependencyResolver();
+  const cyclic = [
+    { id: 'a', dependencies: ['c'] },
+    { id: 'b', dependencies: ['a'] },
+    { id: 'c', dependencies: ['b'] }
+  ];
+
+  assert.throws(() => resolver.resolveExecutionOrder(cyclic), /Ciclo de dependências detectado/);
+  assert.equal(resolver.hasCycles(cyclic), true);
+  assert.equal(resolver.hasCycles(jobs), false);
+  assert.throws(() => resolver.resolveExecutionLevels([{ id: 'a', dependencies: ['a'] }]), /Ciclo de dependências detectado envolvendo job: a/);
+});
+
+test('dependência inexistente é informada', () => {
+  assert.throws(
+    () => new DependencyResolver().resolveExecutionOrder([{ id: 'a', dependencies: ['b', 'c'] }]),
+    /Job "a" depende de "b" que não existe\nJob "a" depende de "c" que não existe/
+  );
+});
+
+test('foreach e when tornam o job de origem uma dependência', () => {
+  const levels = new DependencyResolver().resolveExecutionLevels([
+    { id: 'cargos' },
+    { id: 'consulta' },
+    { id: 'detalhe', foreach: '{{cargos.data.items}}', when: '{{ consulta.data.total > 0 }}' }
+  ]);
+
+  assert.deepEqual(levels.map(level => [...level].sort()), [['cargos', 'consulta'], ['detalhe']]);
+});
+
+/**
+ * Configurações carregadas por grupo, no formato de importService.configs
+ * @param {object} groups - Mapa grupo -> { origem: [jobs] }
+ * @returns {Map} Configurações por grupo
+ */
+function buildConfigs(groups) {
+  return new Map(Object.entries(groups).map(([group, origins]) => [group, {
+    origins: Object.entries(origins).map(([name, job]) => ({ name, job }))
+  }]));
+}
+
+test('grafo qualifica dependências de outras origens e grupos', () => {
+  const resolver = new DependencyResolver();
+  const graph = resolver.buildJobGraph(buildConfigs({
+    rh: {
+      senior: [{ id: 'login' }, { id: 'funcionarios', dependencies: ['login'] }]
+    },
+    folha: {
+      erp: [
+        { id: 'cargos' },
+        { id: 'importar', dependencies: ['cargos', 'rh/senior/funcionarios'], foreach: '{{funcionarios.items}}' }
+      ]
+    }
+  }));
+
+  assert.deepEqual(graph.get('folha/erp/importar').dependencies, ['folha/erp/cargos', 'rh/senior/funcionarios']);
+  assert.equal(graph.get('rh/senior/funcionarios').origin.name, 'senior');
+
+  const levels = resolver.resolveExecutionLevels([...graph.values()], 'folha/erp/importar');
+  assert.deepEqual(levels.map(level => [...level].sort()), [
+    ['folha/erp/cargos', 'rh/senior/login'],
+    ['rh/senior/funcionarios'],
+    ['folha/erp/importar']
+  ]);
+});
+
+test('dependências de origens diferentes com o mesmo id são rejeitadas', () => {
+  const resolver = new DependencyResolver();
+  const graph = resolver.buildJobGraph(buildConfigs({
+    rh: {
+      senior: [{ id: 'login' }],
+      erp: [{ id: 'login' }, { id: 'sincronizar', dependencies: ['login', 'rh/senior/login'] }]
+    }
+  }));
+
+  assert.throws(
+    () => resolver.resolveExecutionOrder([...graph.values()], 'rh/erp/sincronizar'),
+    /depende de "rh\/erp\/login" e "rh\/senior\/login", que têm o mesmo id/
+  );
+});
+
+test('referência de job inválida é informada', () => {
+  assert.throws(
+    () => new DependencyResolver().buildJobGraph(buildConfigs({ rh: { senior: [{ id: 'a', dependencies: ['senior/login'] }] } })),
+    /Referência de job inválida "senior\/login"/
+  );
+});
@@ -0,0 +1,38 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isProtected, findSensitiveFields } from '../src/cli/params-EncryptConfig.js';
+
+test('isProtected considera apenas referências no valor inteiro', () => {
+  assert.equal(isProtected(''), true);
+  assert.equal(isProtected('ENC:abc'), true);
+  assert.equal(isProtected('secret:env:DB_PASS'), true);
+  assert.equal(isProtected('$ENV_DB_PASS'), true);
+  assert.equal(isProtected('{{login.data.token}}'), true);
+
+  assert.equal(isProtected('plain123'), false);
+  assert.equal(isProtected('pre$ENV_X'), false);
+  assert.equal(isProtected('abc {{x}} def'), false);
+});
+
+test('connection string com senha em texto é detectada mesmo com outras variáveis', () => {
+  const config = {
+    origins: [{
+      connection_string: 'Server=x;User Id=$ENV_DBUSER;Password=plain123;',
+      auth: { password: 'segredo' },
+      job: [
+        { output: { connection_string: 'Server=x;User Id=sa;Password=$ENV_DBPASS;' } },
+        { output: { connection_string: 'ENC:abcdef' } },
+        { payload: { token: '$ENV_TOKEN', senha: 'x $ENV_A' } }
+      ]
+    }]
+  };
+
+  const pointers = findSensitiveFields(config).map(field => field.pointer);
+
+  assert.deepEqual(pointers.sort(), [
+    '/origins/0/auth/password',
+    '/origins/0/connection_string',
+    '/origins/0/job/2/payload/senha'
+  ]);
+});
@@ -0,0 +1,96 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import executionService from '../src/services/execution/index.js';
+import environmentService from '../src/services/environment/index.js';
+import sessionService from '../src/services/session/index.js';
+import httpClientService from '../src/services/http-client/index.js';
+import dateService from '../src/services/date/index.js';
+
+httpClientService.setSilent(true);
+
+/**
+ * Servidor local que registra as requisições recebidas
+ * @param {Function} respond - Função (url, requests) => corpo JSON da resposta
+ * @returns {Promise<object>} { baseUrl, requests, close }
+ */
+async function startServer(respond) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ url, headers: req.headers });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(respond(url, requests)));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// O cliente HTTP usa o fetch nativo (Node 18+)
+test('$SESSION_* é resolvido apenas nos textos da configuração', { skip: typeof fetch !== 'function' }, async () => {
+  sessionService.set('SESSION_RHID_TOKEN', 'token-secreto');
+  sessionService.set('TENANT_ID', 'tenant-1');
+
+  // A primeira página devolve um cursor que imita uma variável de sessão
+  const server = await startServer((url, requests) => (
+    requests.length === 1 ? { items: [1], next: '$SESSION_RHID_TOKEN' } : { items: [], next: null }
+  ));
+
+  try {
+    const jobConfig = environmentService.substituteDeep({
+      id: 'listar',
+      type: 'request',
+      method: 'GET',
+      path: '/itens',
+      headers: { 'X-Tenant': '$SESSION_TENANT_ID', 'X-Nome': '{{anterior.nome}}', 'X-Misto': '$SESSION_TENANT_ID/{{anterior.nome}}' },
+      pagination: { type: 'cursor', cursor_path: 'next', data_path: 'items' }
+    }, 'teste', { anterior: { data: { nome: '$SESSION_RHID_TOKEN' } } });
+
+    const result = await executionService.executeJob({ name: 'teste', base_url: server.baseUrl, auth: { type: 'bearer', token: '$SESSION_RHID_TOKEN' } }, jobConfig, 'test', true);
+
+    assert.equal(result.success, true);
+    assert.equal(server.requests.length, 2);
+
+    const [first, second] = server.requests;
+    assert.equal(first.headers['authorization'], 'Bearer token-secreto');
+    assert.equal(first.headers['x-tenant'], 'tenant-1');
+    assert.equal(first.headers['x-nome'], '$SESSION_RHID_TOKEN');
+    assert.equal(first.headers['x-misto'], 'tenant-1/$SESSION_RHID_TOKEN');
+    assert.equal(second.url.searchParams.get('cursor'), '$SESSION_RHID_TOKEN');
+  } finally {
+    await server.close();
+  }
+});
+
+test('macros de data são resolvidas apenas nos textos da configuração', { skip: typeof fetch !== 'function' }, async () => {
+  const server = await startServer(() => ({ ok: true }));
+
+  try {
+    const jobConfig = environmentService.substituteDeep({
+      id: 'exportar',
+      type: 'request',
+      method: 'GET',
+      path: '/exportar',
+      params: { de: '$DATE', nome: '{{anterior.nome}}', misto: '{{anterior.nome}}_$DATE' }
+    }, 'teste', { anterior: { data: { nome: '$DATE-1d' } } }, 'UTC');
+
+    const result = await executionService.executeJob({ name: 'teste', base_url: server.baseUrl }, jobConfig, 'test', true);
+    const today = dateService.resolveMacros('$DATE', 'UTC');
+
+    assert.equal(result.success, true);
+
+    const { searchParams } = server.requests[0].url;
+    assert.equal(searchParams.get('de'), today);
+    assert.equal(searchParams.get('nome'), '$DATE-1d');
+    assert.equal(searchParams.get('misto'), `$DATE-1d_${today}`);
+  } finally {
+    await server.close();
+  }
+});
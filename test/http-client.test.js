@@ -0,0 +1,91 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import httpClientService from '../src/services/http-client/index.js';
+import authService from '../src/services/auth/index.js';
+
+httpClientService.setSilent(true);
+
+test('falha do hook beforeAttempt não é repetida', async () => {
+  let attempts = 0;
+
+  await assert.rejects(
+    httpClientService.request('GET', 'http://127.0.0.1:1/', {
+      retries: 3,
+      retryDelay: 1,
+      beforeAttempt: () => {
+        attempts++;
+        authService.signRequest({ type: 'hmac' }, { method: 'GET', url: 'http://127.0.0.1:1/', headers: {} }, 'teste');
+      }
+    }),
+    /requer 'secret'/
+  );
+
+  assert.equal(attempts, 1);
+});
+
+test('esquema hmac inválido falha antes do envio', () => {
+  assert.throws(() => authService.applyAuthScheme({ type: 'hmac' }, {}, {}, 'teste'), /requer 'secret'/);
+  assert.throws(() => authService.applyAuthScheme({ type: 'hmac', secret: 's', algorithm: 'sha999' }, {}, {}, 'teste'), /algorithm 'sha999' não suportado/);
+  assert.throws(() => authService.applyAuthScheme({ type: 'hmac', secret: 's', signature_header: 'X Sig' }, {}, {}, 'teste'), /nome de header válido/);
+  assert.doesNotThrow(() => authService.applyAuthScheme({ type: 'hmac', secret: 's', algorithm: 'sha512' }, {}, {}, 'teste'));
+});
+
+test('assinatura hmac é mascarada nos logs', () => {
+  const scheme = { type: 'hmac', secret: 's', signature_header: 'X-Assinatura' };
+  authService.applyAuthScheme(scheme, {}, {}, 'teste');
+
+  const headers = { 'X-Assinatura': 'abc123', 'X-Timestamp': '1700000000' };
+  assert.deepEqual(httpClientService.maskHeaders(headers), { 'X-Assinatura': '***', 'X-Timestamp': '1700000000' });
+  assert.equal(authService.maskCredentials(scheme, headers, 'http://127.0.0.1/').headers['X-Assinatura'], '***');
+  assert.equal(authService.maskCredentials({ type: 'hmac', secret: 's' }, { 'X-Signature': 'abc123' }, 'http://127.0.0.1/').headers['X-Signature'], '***');
+});
+
+test('token no corpo gera um novo payload', () => {
+  const payload = { filtro: { ativo: true } };
+  const placement = authService.resolveTokenPlacement({ token_placement: { in: 'body', name: 'auth.token' } });
+
+  const result = authService.applyToken('abc123', placement, { headers: {}, params: {}, payload });
+
+  assert.deepEqual(result, { filtro: { ativo: true }, auth: { token: 'abc123' } });
+  assert.deepEqual(payload, { filtro: { ativo: true } });
+});
+
+test('backoff exponencial é limitado por maxDelay', () => {
+  const policy = { retryDelay: 1000, backoff: 'exponential', backoffMultiplier: 2, maxDelay: 5000 };
+
+  assert.deepEqual([1, 2, 3, 4].map(attempt => httpClientService.getRetryDelay(attempt, {}, policy)), [1000, 2000, 4000, 5000]);
+  assert.equal(httpClientService.getRetryDelay(3, {}, { ...policy, backoff: 'linear' }), 3000);
+});
+
+test('jitter mantém a espera dentro da variação', () => {
+  const policy = { retryDelay: 1000, backoff: 'fixed' };
+
+  for (let i = 0; i < 20; i++) {
+    const full = httpClientService.getRetryDelay(1, {}, { ...policy, jitter: 'full' });
+    const partial = httpClientService.getRetryDelay(1, {}, { ...policy, jitter: 20 });
+    assert.ok(full >= 0 && full <= 1000, `full jitter: ${full}`);
+    assert.ok(partial >= 800 && partial <= 1200, `jitter 20%: ${partial}`);
+  }
+});
+
+test('Retry-After é limitado por maxDelay', () => {
+  const delay = httpClientService.getRetryDelay(1, { response: { headers: { 'retry-after': '3600' } } }, {
+    retryDelay: 1000,
+    backoff: 'fixed',
+    maxDelay: 5000,
+    respectRetryAfter: true
+  });
+
+  assert.equal(delay, 5000);
+});
+
+test('parseRetryAfter aceita segundos e data HTTP', () => {
+  assert.equal(httpClientService.parseRetryAfter('2'), 2000);
+  assert.equal(httpClientService.parseRetryAfter(undefined), null);
+  assert.equal(httpClientService.parseRetryAfter('depois'), null);
+  assert.equal(httpClientService.parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+
+  const fromDate = httpClientService.parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+  assert.ok(fromDate > 28000 && fromDate <= 30000, `data HTTP: ${fromDate}`);
+});
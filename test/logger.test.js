@@ -0,0 +1,32 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import loggerService from '../src/services/logger/index.js';
+import secretService from '../src/services/secret/index.js';
+
+test('logger mascara segredos em dados numéricos e aninhados', () => {
+  process.env.TEST_SECRET_YEAR = '2024';
+  secretService.resolve('secret:env:TEST_SECRET_YEAR');
+
+  const output = [];
+  const consoleLog = console.log;
+  console.log = (message) => output.push(message);
+  loggerService.logToFile = false;
+
+  try {
+    assert.doesNotThrow(() => loggerService.info('Ano 2024', {
+      ano: 20245,
+      periodo: { inicio: 'de 2024-01', anos: [2024, '2024'] },
+      ativo: true,
+      vazio: null
+    }));
+  } finally {
+    console.log = consoleLog;
+  }
+
+  assert.equal(output.length, 1);
+  assert.match(output[0], /Ano \*\*\*/);
+  assert.match(output[0], /"ano": 20245/);
+  assert.match(output[0], /"inicio": "de \*\*\*-01"/);
+  assert.match(output[0], /2024,\s*"\*\*\*"/);
+});
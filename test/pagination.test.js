@@ -0,0 +1,70 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import paginationService from '../src/services/pagination/index.js';
+
+test('parseLinkHeader separa as relações', () => {
+  const links = paginationService.parseLinkHeader(
+    '<https://api.exemplo.com/itens?page=2>; rel="next", <https://api.exemplo.com/itens?page=9>; rel="last"'
+  );
+
+  assert.deepEqual(links, {
+    next: 'https://api.exemplo.com/itens?page=2',
+    last: 'https://api.exemplo.com/itens?page=9'
+  });
+});
+
+test('parseLinkHeader mantém vírgulas das URLs', () => {
+  const links = paginationService.parseLinkHeader(
+    '<https://api.exemplo.com/itens?fields=id,nome&page=2>; rel="next",<https://api.exemplo.com/itens?fields=id,nome&page=1>; rel=first'
+  );
+
+  assert.equal(links.next, 'https://api.exemplo.com/itens?fields=id,nome&page=2');
+  assert.equal(links.first, 'https://api.exemplo.com/itens?fields=id,nome&page=1');
+});
+
+test('parseLinkHeader aceita várias relações e header ausente', () => {
+  assert.deepEqual(paginationService.parseLinkHeader('<https://api.exemplo.com/p2>; rel="next Last"'), {
+    next: 'https://api.exemplo.com/p2',
+    last: 'https://api.exemplo.com/p2'
+  });
+  assert.deepEqual(paginationService.parseLinkHeader(undefined), {});
+  assert.deepEqual(paginationService.parseLinkHeader('texto inválido'), {});
+});
+
+test('paginate concatena as páginas por cursor', async () => {
+  const pages = {
+    '': { data: { items: [1, 2], next: 'c2' } },
+    c2: { data: { items: [3], next: 'c3' } },
+    c3: { data: { items: [], next: null } }
+  };
+  const cursors = [];
+
+  const result = await paginationService.paginate(
+    { id: 'listar', params: { size: 2 }, pagination: { type: 'cursor', cursor_path: 'next', data_path: 'items' } },
+    async pageJobConfig => {
+      const cursor = pageJobConfig.params.cursor ?? '';
+      cursors.push(cursor);
+      return { status: 200, url: `http://api/itens?cursor=${cursor}`, ...pages[cursor] };
+    }
+  );
+
+  assert.deepEqual(cursors, ['', 'c2', 'c3']);
+  assert.deepEqual(result.data, { items: [1, 2, 3], next: 'c2' });
+  assert.deepEqual(result.pagination, { type: 'cursor', pages: 3, records: 3 });
+});
+
+test('paginate segue o header Link até a última página', async () => {
+  const urls = [];
+
+  await paginationService.paginate(
+    { id: 'listar', path: '/itens', pagination: { type: 'link_header' } },
+    async pageJobConfig => {
+      urls.push(`${pageJobConfig.base_url ?? ''}${pageJobConfig.path}?${new URLSearchParams(pageJobConfig.params)}`);
+      const next = urls.length < 2 ? '</itens?page=2&fields=id,nome>; rel="next"' : undefined;
+      return { status: 200, url: 'https://api.exemplo.com/itens', headers: { link: next }, data: [urls.length] };
+    }
+  );
+
+  assert.deepEqual(urls, ['/itens?', 'https://api.exemplo.com/itens?page=2&fields=id%2Cnome']);
+});
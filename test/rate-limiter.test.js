@@ -0,0 +1,37 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiterService } from '../src/services/rate-limiter/index.js';
+
+test('validate exige a taxa de requisições', () => {
+  const service = new RateLimiterService();
+
+  assert.throws(() => service.validate({ name: 'api', rate_limit: { burst: 5 } }), /requests_per_second ou requests_per_minute/);
+  assert.doesNotThrow(() => service.validate({ name: 'sem-limite' }));
+  assert.doesNotThrow(() => service.validate({ name: 'por-minuto', rate_limit: { requests_per_minute: 30 } }));
+});
+
+test('acquire libera o burst sem espera e aguarda a reposição', async () => {
+  const service = new RateLimiterService();
+  const origin = { name: 'api', rate_limit: { requests_per_second: 20, burst: 2 } };
+
+  assert.equal(await service.acquire(origin), 0);
+  assert.equal(await service.acquire(origin), 0);
+
+  const waited = await service.acquire(origin);
+  assert.ok(waited > 0 && waited <= 50, `espera: ${waited}ms`);
+});
+
+test('acquire atende chamadas concorrentes em ordem', async () => {
+  const service = new RateLimiterService();
+  const origin = { name: 'api', rate_limit: { requests_per_second: 50, burst: 1 } };
+  const order = [];
+
+  await Promise.all([1, 2, 3].map(id => service.acquire(origin).then(() => order.push(id))));
+
+  assert.deepEqual(order, [1, 2, 3]);
+});
+
+test('origem sem rate_limit não aguarda', async () => {
+  assert.equal(await new RateLimiterService().acquire({ name: 'livre' }), 0);
+});
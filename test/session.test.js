@@ -0,0 +1,44 @@
+import root from './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { SessionService } from '../src/services/session/index.js';
+
+process.env.ENV_ENCRYPTION_KEY = 'chave-dos-testes';
+
+/**
+ * Instância com armazenamento em um diretório próprio
+ * @param {string} name - Nome do diretório
+ * @returns {SessionService} Serviço de sessões
+ */
+function createService(name) {
+  const service = new SessionService();
+  clearInterval(service.cleanupInterval);
+
+  service.storeDir = join(root, name);
+  service.storePath = join(service.storeDir, 'sessions.enc');
+  service.lockPath = join(service.storeDir, 'sessions.lock');
+  mkdirSync(service.storeDir, { recursive: true });
+
+  return service;
+}
+
+test('sessões persistidas são relidas por outra instância', () => {
+  createService('relidas').set('SESSION_A_TOKEN', 'token-a', 600, { persist: true });
+
+  const service = createService('relidas');
+  assert.equal(service.get('SESSION_A_TOKEN'), 'token-a');
+});
+
+test('armazenamento ilegível é preservado antes de gravar', () => {
+  const service = createService('ilegivel');
+  writeFileSync(service.storePath, 'ENC:conteudo-de-outra-chave');
+
+  service.set('SESSION_B_TOKEN', 'token-b', 600, { persist: true });
+
+  const backups = readdirSync(service.storeDir).filter(file => file.endsWith('.bak'));
+  assert.equal(backups.length, 1);
+  assert.equal(readFileSync(join(service.storeDir, backups[0]), 'utf8'), 'ENC:conteudo-de-outra-chave');
+  assert.equal(createService('ilegivel').get('SESSION_B_TOKEN'), 'token-b');
+});
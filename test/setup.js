@@ -0,0 +1,15 @@
+import { mkdtempSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+/**
+ * Ambiente isolado dos testes: logs, sessões e chaves ficam em um diretório temporário
+ * (importado antes dos serviços, que criam seus diretórios ao serem carregados)
+ */
+
+const root = mkdtempSync(join(tmpdir(), 'gicli-test-'));
+
+process.env.HOME = root;
+process.env.LOG_DIR = join(root, 'logs');
+
+export default root;
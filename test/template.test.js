@@ -0,0 +1,61 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import templateService from '../src/services/template/index.js';
+
+const scope = {
+  cargos: { items: [{ codigo: '001', nome: ' Analista ' }, { codigo: '002', nome: 'Gerente' }], total: 2 },
+  colab: { regime: 1, nome: 'Ana', vazio: '', nulo: null }
+};
+
+test('filtros de texto, listas e valores padrão', () => {
+  assert.equal(templateService.render('{{ cargos.items[0].nome | trim | upper }}', scope), 'ANALISTA');
+  assert.equal(templateService.render('{{ colab.nome | lower }}', scope), 'ana');
+  assert.equal(templateService.render("{{ colab.vazio | default('N/A') }}", scope), 'N/A');
+  assert.equal(templateService.render("{{ colab.inexistente | default('sem valor') }}", scope), 'sem valor');
+  assert.equal(templateService.render('{{ cargos.items | length }}', scope), '2');
+  assert.equal(templateService.render("{{ colab | json }}", { colab: { a: 1 } }), '{"a":1}');
+  assert.equal(templateService.render("{{ lista | join(';') }}", { lista: ['a', 1, true] }), 'a;1;true');
+});
+
+test('aritmética, concatenação e comparações', () => {
+  assert.equal(templateService.evaluate('cargos.total * 10 + 1', scope), 21);
+  assert.equal(templateService.evaluate('(cargos.total + 1) % 2', scope), 1);
+  assert.equal(templateService.evaluate("'cargo-' + cargos.items[1].codigo", scope), 'cargo-002');
+  assert.equal(templateService.evaluate("cargos.items[0].codigo == '001' and colab.regime > 0", scope), true);
+  assert.equal(templateService.evaluate('not colab.vazio or colab.nulo != null', scope), true);
+  assert.equal(templateService.evaluate("colab.nulo == null", scope), true);
+});
+
+test('erros de resolução indicam o campo ausente', () => {
+  assert.throws(() => templateService.evaluate('colab.endereco.cidade', scope), /campo 'endereco' não encontrado em colab/);
+  assert.throws(() => templateService.evaluate('cargos.items[5].codigo', scope), /índice 5 inexistente em cargos.items/);
+  assert.throws(() => templateService.evaluate('outro.campo', scope), /resultado de 'outro' não encontrado/);
+  assert.throws(() => templateService.evaluate('cargos.total / 0', scope), /divisão por zero/);
+  assert.throws(() => templateService.evaluate("colab.nome | join(',')", scope), /filtro join espera um array/);
+  assert.throws(() => templateService.evaluate('colab.nome +', scope), /Erro no template/);
+});
+
+test('filtro date usa o fuso da avaliação ou o informado', () => {
+  const data = { criado: '2024-03-01T02:30:00Z' };
+
+  assert.equal(templateService.render("{{ evento.criado | date('DD/MM/YYYY HH:mm') }}", { evento: data }, { timezone: 'America/Sao_Paulo' }), '29/02/2024 23:30');
+  assert.equal(templateService.render("{{ evento.criado | date('DD/MM/YYYY HH:mm', 'UTC') }}", { evento: data }, { timezone: 'America/Sao_Paulo' }), '01/03/2024 02:30');
+  assert.throws(() => templateService.evaluate('evento.criado | date', { evento: { criado: 'ontem' } }), /data inválida/);
+});
+
+test('template único preserva o tipo do valor', () => {
+  assert.equal(templateService.renderValue('{{ colab.regime }}', scope), 1);
+  assert.equal(templateService.renderValue('{{ colab.nulo }}', scope), null);
+  assert.deepEqual(templateService.renderValue('{{ cargos.items[1] }}', scope), { codigo: '002', nome: 'Gerente' });
+  assert.equal(templateService.renderValue('regime {{ colab.regime }}', scope), 'regime 1');
+  assert.equal(templateService.renderValue('{{ colab.regime }}{{ colab.regime }}', scope), '11');
+});
+
+test('filtros de conversão explícita', () => {
+  assert.equal(templateService.renderValue('{{ colab.regime | string }}', scope), '1');
+  assert.equal(templateService.renderValue("{{ cargos.items[0].codigo | number }}", scope), 1);
+  assert.equal(templateService.renderValue("{{ 'não' | boolean }}", scope), false);
+  assert.equal(templateService.renderValue("{{ 'sim' | boolean }}", scope), true);
+  assert.throws(() => templateService.renderValue('{{ colab.nome | number }}', scope), /filtro number não converte "Ana"/);
+});